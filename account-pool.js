@@ -0,0 +1,279 @@
+/**
+ * Z.AI Account Pool
+ *
+ * Spreads requests over several ZImageClient instances (one per image.z.ai
+ * account) and takes failing ones out of rotation:
+ * - 429 -> cooldown for Retry-After (or ZIMAGE_ACCOUNT_COOLDOWN seconds, default 300)
+ * - 401/403 or expired session -> disabled until its credentials change or it is re-enabled
+ *
+ * Accounts are loaded from / saved to a JSON file (ZIMAGE_ACCOUNTS_FILE, default
+ * .zimage_accounts.json):
+ *   { "strategy": "round-robin", "accounts": [{ "id": "alt", "sessionToken": "...",
+ *     "chatToken": "...", "cookies": { "acw_tc": "..." }, "userAgent": "..." }] }
+ * The file holds tokens and cookies, so it is written like the session cache:
+ * encrypted with the session cache key (secure-cache.js), 0600, atomically. A
+ * plaintext file (hand-written, or from an older version) is read and re-written
+ * encrypted.
+ *
+ * Clients added with { persist: false } (the default account, which has its own
+ * session cache) are never written to this file and can't be removed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getSessionCacheKey, isEncrypted, encryptJson, decryptJson, writePrivateFile, SessionCacheError } from './secure-cache.js';
+
+export const strategies = ['round-robin', 'lru'];
+
+/**
+ * Fresh health record
+ */
+function createHealth() {
+    return {
+        status: 'healthy',
+        failures: 0,
+        lastStatus: null,
+        lastError: null,
+        disabledUntil: null,
+        lastUsedAt: null,
+        lastSuccessAt: null
+    };
+}
+
+export default class AccountPool {
+    /**
+     * @param {object} options
+     * @param {function(object): object} options.createClient - Builds a client from
+     *   { id, sessionToken, chatToken, cookies, userAgent }
+     * @param {string} options.file - Accounts JSON file
+     * @param {string} options.strategy - 'round-robin' or 'lru'
+     * @param {number} options.cooldownMs - Default cooldown after a 429
+     * @param {function(): Promise<string>|string|null} options.cacheKey - Encryption key
+     *   (default: the session cache key, null = plaintext)
+     */
+    constructor(options = {}) {
+        this.createClient = options.createClient;
+        this.file = options.file || path.join(process.cwd(), '.zimage_accounts.json');
+        this.strategy = strategies.includes(options.strategy) ? options.strategy : 'round-robin';
+        this.cooldownMs = options.cooldownMs ?? 5 * 60 * 1000;
+        this.cacheKey = options.cacheKey === undefined ? getSessionCacheKey : options.cacheKey;
+        this.saveChain = Promise.resolve();
+        this.accounts = [];
+        this.health = new Map();
+        this.unmanaged = new Set();
+        this.cursor = 0;
+    }
+
+    async getCacheKey() {
+        return typeof this.cacheKey === 'function' ? this.cacheKey() : this.cacheKey;
+    }
+
+    /**
+     * Load accounts from the JSON file (keeps accounts already in the pool)
+     * @throws {SessionCacheError} - File is encrypted and the key is wrong/missing
+     */
+    async load() {
+        let config;
+        try {
+            config = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[POOL] Failed to load ${this.file}: ${error.message}`);
+            }
+            return;
+        }
+
+        const key = await this.getCacheKey();
+        const encrypted = isEncrypted(config);
+        if (encrypted) {
+            if (!key) {
+                throw new SessionCacheError(`Accounts file ${this.file} is encrypted but no cache key is configured`);
+            }
+            config = await decryptJson(config, key, this.file);
+        }
+
+        const list = Array.isArray(config) ? config : (config.accounts || []);
+        if (!Array.isArray(config) && strategies.includes(config.strategy)) {
+            this.strategy = config.strategy;
+        }
+
+        for (const data of list) {
+            if (!data.id) {
+                console.log('[POOL] Skipping account without id');
+                continue;
+            }
+            this.upsert(data);
+        }
+
+        console.log(`[POOL] Loaded ${list.length} account(s) from ${this.file} (${this.strategy})`);
+
+        if (key && !encrypted) {
+            await this.save();
+            console.log(`[POOL] Migrated plaintext accounts file to encrypted: ${this.file}`);
+        }
+    }
+
+    /**
+     * Save managed accounts back to the file (encrypted unless cacheKey is null, always 0600)
+     * Saves are serialized, each writes the accounts as they are when its turn comes.
+     */
+    save() {
+        const write = this.saveChain.then(async () => {
+            const accounts = this.accounts
+                .filter(client => !this.unmanaged.has(client))
+                .map(({ id, sessionToken, chatToken, cookies, userAgent }) => ({ id, sessionToken, chatToken, cookies, userAgent }));
+
+            const data = { strategy: this.strategy, accounts };
+            const key = await this.getCacheKey();
+            const content = key ? await encryptJson(data, key) : data;
+            await writePrivateFile(this.file, JSON.stringify(content, null, 2));
+        });
+        // A failed save doesn't block the next one; the caller still sees its error
+        this.saveChain = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Get client by account ID
+     */
+    get(id) {
+        return this.accounts.find(client => client.id === id) || null;
+    }
+
+    /**
+     * Get a client's health record
+     */
+    getHealth(client) {
+        return this.health.get(client);
+    }
+
+    /**
+     * Add a client to the pool
+     * @param {object} client - ZImageClient
+     * @param {object} options
+     * @param {boolean} options.persist - Save to the accounts file (default: true)
+     */
+    add(client, { persist = true } = {}) {
+        this.accounts.push(client);
+        this.health.set(client, createHealth());
+        if (!persist) this.unmanaged.add(client);
+        return client;
+    }
+
+    /**
+     * Add a new account or update an existing one's credentials
+     * Changing credentials puts a disabled account back into rotation.
+     */
+    upsert(data) {
+        const existing = this.get(String(data.id));
+        if (!existing) {
+            return this.add(this.createClient({ ...data, id: String(data.id) }));
+        }
+
+        if (data.sessionToken !== undefined) existing.sessionToken = data.sessionToken;
+        if (data.chatToken !== undefined) existing.chatToken = data.chatToken;
+        if (data.cookies) existing.cookies = { ...existing.cookies, ...data.cookies };
+        if (data.userAgent !== undefined) existing.userAgent = data.userAgent;
+        this.enable(existing);
+
+        return existing;
+    }
+
+    /**
+     * Remove an account (unmanaged accounts can't be removed)
+     */
+    remove(id) {
+        const client = this.get(id);
+        if (!client || this.unmanaged.has(client)) return false;
+
+        this.accounts.splice(this.accounts.indexOf(client), 1);
+        this.health.delete(client);
+        return true;
+    }
+
+    /**
+     * Check if account can take requests right now
+     */
+    isAvailable(client) {
+        if (!client.sessionToken && !client.chatToken) return false;
+
+        const { status, disabledUntil } = this.health.get(client);
+        if (status === 'disabled') return false;
+        if (status === 'cooldown' && disabledUntil && Date.parse(disabledUntil) > Date.now()) return false;
+        return true;
+    }
+
+    /**
+     * Pick the next account to use
+     * @param {string[]} exclude - Account IDs already tried for this request
+     */
+    select(exclude = []) {
+        const candidates = this.accounts.filter(client => !exclude.includes(client.id) && this.isAvailable(client));
+        if (candidates.length === 0) return null;
+
+        let client;
+        if (this.strategy === 'lru') {
+            // Never-used accounts first, then the one idle the longest
+            const lastUsed = c => Date.parse(this.health.get(c).lastUsedAt) || 0;
+            client = candidates.reduce((oldest, c) => lastUsed(c) < lastUsed(oldest) ? c : oldest);
+        } else {
+            client = candidates[this.cursor % candidates.length];
+            this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+        }
+
+        this.health.get(client).lastUsedAt = new Date().toISOString();
+        return client;
+    }
+
+    /**
+     * Record a successful request
+     */
+    markSuccess(client) {
+        const health = this.health.get(client);
+        if (!health) return;
+
+        health.status = 'healthy';
+        health.failures = 0;
+        health.disabledUntil = null;
+        health.lastSuccessAt = new Date().toISOString();
+    }
+
+    /**
+     * Record a failed request and take the account out of rotation
+     * @param {object} client
+     * @param {object} failure
+     * @param {number} failure.status - HTTP status (401/403/429) or null for an expired session
+     * @param {string} failure.message - Error message
+     * @param {number} failure.retryAfterMs - Cooldown override (from Retry-After)
+     */
+    markFailure(client, { status = null, message, retryAfterMs } = {}) {
+        const health = this.health.get(client);
+        if (!health) return;
+
+        health.failures++;
+        health.lastStatus = status;
+        health.lastError = message || null;
+
+        if (status === 429) {
+            health.status = 'cooldown';
+            health.disabledUntil = new Date(Date.now() + (retryAfterMs || this.cooldownMs)).toISOString();
+        } else {
+            health.status = 'disabled';
+            health.disabledUntil = null;
+        }
+
+        console.log(`[POOL] Account ${client.id} -> ${health.status}${status ? ` (HTTP ${status})` : ''}: ${message || 'no details'}`);
+    }
+
+    /**
+     * Put an account back into rotation
+     */
+    enable(client) {
+        const health = this.health.get(client);
+        if (!health) return;
+
+        health.status = 'healthy';
+        health.failures = 0;
+        health.disabledUntil = null;
+    }
+}
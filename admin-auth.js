@@ -0,0 +1,82 @@
+/**
+ * Admin Authentication
+ *
+ * Session, cookie, account and API key management is guarded by its own
+ * credential, separate from the API keys used for generation:
+ * - ADMIN_API_KEY: Bearer token for admin routes. Unset = admin routes are disabled.
+ * - ADMIN_IP_ALLOWLIST: Optional comma-separated IPs / CIDR ranges
+ *   (e.g. "127.0.0.1, 10.0.0.0/8, ::1"). Behind a reverse proxy, set TRUST_PROXY
+ *   so the client IP is taken from X-Forwarded-For.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import { AuthenticationError, PermissionDeniedError } from './errors.js';
+
+const adminKey = process.env.ADMIN_API_KEY || null;
+
+/**
+ * Build a BlockList from "ip, ip/prefix, ..." (null when the list is empty)
+ */
+export function parseIpAllowlist(value) {
+    const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) return null;
+
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) {
+            throw new Error(`Invalid ADMIN_IP_ALLOWLIST entry: ${entry}`);
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, parseInt(prefix), type);
+        }
+    }
+    return list;
+}
+
+const allowlist = parseIpAllowlist(process.env.ADMIN_IP_ALLOWLIST);
+
+/**
+ * Whether an IP may use admin routes (always true without an allowlist)
+ */
+export function isIpAllowed(ip) {
+    if (!allowlist) return true;
+    if (!ip) return false;
+
+    // IPv4 clients on a dual-stack socket show up as ::ffff:1.2.3.4
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    return allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+export function isAdminEnabled() {
+    return Boolean(adminKey);
+}
+
+/**
+ * Check a request's admin credential and IP
+ * @param {object} req - Express request
+ * @throws {PermissionDeniedError|AuthenticationError}
+ */
+export function verifyAdminRequest(req) {
+    if (!adminKey) {
+        throw new PermissionDeniedError('Admin API is disabled. Set ADMIN_API_KEY to enable it.', { code: 'admin_disabled' });
+    }
+    if (!isIpAllowed(req.ip)) {
+        throw new PermissionDeniedError(`Admin API is not available from ${req.ip}`, { code: 'ip_not_allowed' });
+    }
+
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new AuthenticationError('Missing admin API key');
+    }
+
+    const given = crypto.createHash('sha256').update(authHeader.slice(7)).digest();
+    const expected = crypto.createHash('sha256').update(adminKey).digest();
+    if (!crypto.timingSafeEqual(given, expected)) {
+        throw new AuthenticationError('Invalid admin API key');
+    }
+}
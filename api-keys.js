@@ -0,0 +1,354 @@
+/**
+ * API Key Store
+ *
+ * Named API keys with their own limits, on top of the root API_KEY from env:
+ * - rate_limit_rpm: Requests per minute (null = unlimited)
+ * - daily_image_quota: Images per UTC day (null = unlimited)
+ * - allowed_models: Model IDs the key may use (null = all)
+ * - allow_2k: Whether the key may generate 2K images
+ *
+ * Keys are stored hashed in API_KEYS_FILE (default .zimage_keys.json); the
+ * plaintext is only returned once, on creation. Usage counters are persisted
+ * in API_KEY_USAGE_FILE (default .zimage_usage.json).
+ *
+ * The root key (API_KEY) has no limits. Keys are managed through the admin
+ * endpoints (ADMIN_API_KEY, see admin-auth.js). With API_KEY unset
+ * it falls back to 'sk-key', which the server refuses unless
+ * ALLOW_INSECURE_DEFAULT_KEY=true.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { findModel } from './models.js';
+import { InvalidParameterError, PermissionDeniedError, RateLimitedError, QuotaExceededError } from './errors.js';
+
+export const DEFAULT_API_KEY = 'sk-key';
+
+const keysFile = process.env.API_KEYS_FILE || path.join(process.cwd(), '.zimage_keys.json');
+const usageFile = process.env.API_KEY_USAGE_FILE || path.join(process.cwd(), '.zimage_usage.json');
+const usageHistoryDays = 30;
+const requestUsageSaveDelayMs = 5000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+const rootKey = process.env.API_KEY || DEFAULT_API_KEY;
+const root = {
+    // Short, non-reversible ID (stored with usage and library images)
+    id: `key_${hashKey(rootKey).slice(0, 12)}`,
+    name: 'root',
+    root: true,
+    rate_limit_rpm: null,
+    daily_image_quota: null,
+    allowed_models: null,
+    allow_2k: true
+};
+
+export const rootKeyId = root.id;
+
+// Key records by ID, hash -> ID
+const keys = new Map();
+const hashes = new Map();
+// Usage by key ID: { requests, images, daily: { 'YYYY-MM-DD': { requests, images } }, last_used_at }
+let usage = {};
+// Request timestamps in the last minute, by key ID
+const recentRequests = new Map();
+
+let keysChain = Promise.resolve();
+let usageChain = Promise.resolve();
+let usageSaveTimer = null;
+
+/**
+ * Whether the server runs with the well-known default key
+ */
+export function isDefaultKeyInUse() {
+    return rootKey === DEFAULT_API_KEY;
+}
+
+/**
+ * Write a JSON file atomically, serialized on the given chain
+ */
+function writeJson(chain, file, data, label) {
+    return chain
+        .then(async () => {
+            const tmpFile = `${file}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+            await fs.rename(tmpFile, file);
+        })
+        .catch(error => console.error(`[KEYS] Failed to persist ${label}: ${error.message}`));
+}
+
+function saveKeys() {
+    keysChain = writeJson(keysChain, keysFile, [...keys.values()], 'keys');
+    return keysChain;
+}
+
+function saveUsage() {
+    clearTimeout(usageSaveTimer);
+    usageSaveTimer = null;
+    usageChain = writeJson(usageChain, usageFile, usage, 'usage');
+    return usageChain;
+}
+
+/**
+ * Save usage within a few seconds: request counters change on every request, and
+ * losing the last few in a crash is harmless (image usage is saved right away)
+ */
+function scheduleUsageSave() {
+    if (usageSaveTimer) return;
+    usageSaveTimer = setTimeout(saveUsage, requestUsageSaveDelayMs);
+    usageSaveTimer.unref();
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[KEYS] Failed to load ${file}: ${error.message}`);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Load keys and usage from disk
+ */
+export async function initApiKeys() {
+    for (const record of await readJson(keysFile, [])) {
+        keys.set(record.id, record);
+        hashes.set(record.key_hash, record.id);
+    }
+    usage = await readJson(usageFile, {});
+
+    const active = [...keys.values()].filter(k => !k.revoked_at).length;
+    console.log(`[KEYS] ${active} active API key(s) loaded${isDefaultKeyInUse() ? ' (root key is the insecure default)' : ''}`);
+}
+
+/**
+ * Look up the key for a bearer token
+ * @returns {object|null} - Key record (root key included), null if unknown or revoked
+ */
+export function resolveKey(token) {
+    if (!token) return null;
+
+    const hash = hashKey(token);
+    if (crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashKey(rootKey), 'hex'))) {
+        return root;
+    }
+
+    const record = keys.get(hashes.get(hash));
+    return record && !record.revoked_at ? record : null;
+}
+
+/**
+ * Check the key's requests-per-minute limit and count this request
+ * @throws {RateLimitedError}
+ */
+export function checkRateLimit(key) {
+    if (key.rate_limit_rpm) {
+        const cutoff = Date.now() - 60 * 1000;
+        const recent = (recentRequests.get(key.id) || []).filter(time => time > cutoff);
+        recentRequests.set(key.id, recent);
+
+        if (recent.length >= key.rate_limit_rpm) {
+            throw new RateLimitedError(`Rate limit reached for key '${key.name}': ${key.rate_limit_rpm} requests per minute.`, {
+                retryAfter: Math.max(Math.ceil((recent[0] + 60 * 1000 - Date.now()) / 1000), 1)
+            });
+        }
+        recent.push(Date.now());
+    }
+
+    const entry = usageEntry(key.id);
+    entry.requests++;
+    entry.daily[today()].requests++;
+    entry.last_used_at = new Date().toISOString();
+    scheduleUsageSave();
+}
+
+/**
+ * Usage record for a key, with today's bucket present and old days dropped
+ */
+function usageEntry(keyId) {
+    const entry = usage[keyId] ??= { requests: 0, images: 0, daily: {}, last_used_at: null };
+    const day = today();
+    if (!entry.daily[day]) {
+        entry.daily[day] = { requests: 0, images: 0 };
+        const days = Object.keys(entry.daily).sort();
+        for (const old of days.slice(0, Math.max(days.length - usageHistoryDays, 0))) {
+            delete entry.daily[old];
+        }
+    }
+    return entry;
+}
+
+/**
+ * Whether a key may use a model (allowed_models may name aliases)
+ */
+export function isModelAllowed(key, modelId) {
+    if (!key.allowed_models) return true;
+    return key.allowed_models.some(name => (findModel(name)?.id ?? name) === modelId);
+}
+
+/**
+ * Check model/2K permissions and take `n` images from today's quota
+ * Call refundImages() with the returned day for images that were not produced.
+ * @param {object} key - Key record from resolveKey()
+ * @param {object} request
+ * @param {string} request.model - Requested model (null to skip the model check)
+ * @param {string} request.resolution - '1K' or '2K'
+ * @param {number} request.n - Images requested
+ * @returns {string} - UTC day (YYYY-MM-DD) the images were charged to
+ * @throws {PermissionDeniedError|QuotaExceededError}
+ */
+export function consumeImages(key, { model = null, resolution, n = 1 }) {
+    if (model && !isModelAllowed(key, model)) {
+        throw new PermissionDeniedError(`Model '${model}' is not allowed for key '${key.name}'. Allowed: ${key.allowed_models.join(', ')}`, {
+            code: 'model_not_allowed',
+            param: 'model'
+        });
+    }
+    if (resolution === '2K' && !key.allow_2k) {
+        throw new PermissionDeniedError(`Key '${key.name}' is not allowed to generate 2K images.`, {
+            code: 'resolution_not_allowed',
+            param: model ? 'model' : 'resolution'
+        });
+    }
+
+    const entry = usageEntry(key.id);
+    const used = entry.daily[today()].images;
+    if (key.daily_image_quota !== null && used + n > key.daily_image_quota) {
+        throw new QuotaExceededError(`Daily image quota exceeded for key '${key.name}': ${used}/${key.daily_image_quota} used, ${n} requested.`);
+    }
+
+    const day = today();
+    entry.images += n;
+    entry.daily[day].images += n;
+    saveUsage();
+    return day;
+}
+
+/**
+ * Give back quota for images that failed
+ * @param {string} keyId
+ * @param {number} n
+ * @param {string} day - Day returned by consumeImages() (default: today)
+ */
+export function refundImages(keyId, n, day = null) {
+    const entry = usage[keyId];
+    if (!entry || n <= 0) return;
+
+    entry.images = Math.max(entry.images - n, 0);
+    const daily = entry.daily[day || today()];
+    if (daily) daily.images = Math.max(daily.images - n, 0);
+    saveUsage();
+}
+
+/**
+ * Validate key settings from an admin request
+ */
+function parseKeySettings(body, existing = {}) {
+    const settings = {};
+
+    const positiveOrNull = (name) => {
+        if (body[name] === undefined) return existing[name] ?? null;
+        if (body[name] === null) return null;
+        if (!Number.isInteger(body[name]) || body[name] < 1) {
+            throw new InvalidParameterError(`'${name}' must be a positive integer or null`, name);
+        }
+        return body[name];
+    };
+
+    settings.rate_limit_rpm = positiveOrNull('rate_limit_rpm');
+    settings.daily_image_quota = positiveOrNull('daily_image_quota');
+
+    if (body.allowed_models === undefined) {
+        settings.allowed_models = existing.allowed_models ?? null;
+    } else if (body.allowed_models === null || (Array.isArray(body.allowed_models) && body.allowed_models.every(m => typeof m === 'string'))) {
+        settings.allowed_models = body.allowed_models;
+    } else {
+        throw new InvalidParameterError("'allowed_models' must be an array of model IDs or null", 'allowed_models');
+    }
+
+    if (body.allow_2k === undefined) {
+        settings.allow_2k = existing.allow_2k ?? true;
+    } else if (typeof body.allow_2k === 'boolean') {
+        settings.allow_2k = body.allow_2k;
+    } else {
+        throw new InvalidParameterError("'allow_2k' must be a boolean", 'allow_2k');
+    }
+
+    return settings;
+}
+
+/**
+ * Create a key
+ * @returns {Promise<{ record: object, key: string }>} - The plaintext key is not stored
+ */
+export async function createKey(body) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        throw new InvalidParameterError("'name' is required", 'name');
+    }
+
+    const key = `sk-zimg-${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        name: body.name.trim(),
+        prefix: key.slice(0, 12),
+        key_hash: hashKey(key),
+        created_at: new Date().toISOString(),
+        revoked_at: null,
+        ...parseKeySettings(body)
+    };
+
+    keys.set(record.id, record);
+    hashes.set(record.key_hash, record.id);
+    await saveKeys();
+    console.log(`[KEYS] Created ${record.id} (${record.name})`);
+
+    return { record, key };
+}
+
+/**
+ * Revoke a key (the record and its usage are kept)
+ * @returns {Promise<object|null>} - null if not found
+ */
+export async function revokeKey(id) {
+    const record = keys.get(id);
+    if (!record) return null;
+
+    if (!record.revoked_at) {
+        record.revoked_at = new Date().toISOString();
+        await saveKeys();
+        console.log(`[KEYS] Revoked ${record.id} (${record.name})`);
+    }
+    return record;
+}
+
+export function getKey(id) {
+    return keys.get(id) || null;
+}
+
+export function listKeys() {
+    return [...keys.values()];
+}
+
+/**
+ * Public view of a key with its usage (never includes the hash)
+ */
+export function serializeKey(record) {
+    const { key_hash, ...publicKey } = record;
+    const entry = usage[record.id];
+    return {
+        object: 'api_key',
+        ...publicKey,
+        usage: {
+            requests: entry?.requests || 0,
+            images: entry?.images || 0,
+            today: entry?.daily[today()] || { requests: 0, images: 0 },
+            daily: entry?.daily || {},
+            last_used_at: entry?.last_used_at || null
+        }
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Credential Audit Log
+ *
+ * One JSON line per change to credentials (Z.AI sessions, chat tokens, cookies,
+ * pool accounts, API keys), appended to AUDIT_LOG_FILE (default .zimage_audit.jsonl):
+ *   { time, action, actor, ip, target, success, details }
+ *
+ * Secrets are never written - use tokenFingerprint() to record which token was set.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const auditFile = process.env.AUDIT_LOG_FILE || path.join(process.cwd(), '.zimage_audit.jsonl');
+
+let writeChain = Promise.resolve();
+
+/**
+ * Short, non-reversible ID for a token
+ */
+export function tokenFingerprint(token) {
+    if (!token) return null;
+    return `sha256:${crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Append an entry (writes are serialized)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'session.set', 'account.remove', 'api_key.create'
+ * @param {string} entry.actor - 'admin_api', 'telegram:<chat id>', ...
+ * @param {string} entry.ip - Client IP (API requests)
+ * @param {string} entry.target - Account or key ID
+ * @param {boolean} entry.success - Whether the change was applied
+ * @param {object} entry.details - Extra non-secret fields
+ */
+export function recordAudit({ action, actor, ip = null, target = null, success = true, details = {} }) {
+    const entry = { time: new Date().toISOString(), action, actor, ip, target, success, details };
+    console.log(`[AUDIT] ${action} by ${actor}${ip ? ` (${ip})` : ''}${target ? ` on ${target}` : ''}${success ? '' : ' - failed'}`);
+
+    writeChain = writeChain
+        .then(() => fs.appendFile(auditFile, JSON.stringify(entry) + '\n', { mode: 0o600 }))
+        .catch(error => console.error(`[AUDIT] Failed to write audit log: ${error.message}`));
+    return writeChain;
+}
+
+/**
+ * Most recent entries, newest first
+ * @param {number} limit
+ */
+export async function readAudit(limit = 100) {
+    await writeChain;
+
+    let content;
+    try {
+        content = await fs.readFile(auditFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return content.split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
@@ -0,0 +1,484 @@
+/**
+ * Batch Generation
+ *
+ * POST /v1/images/batches takes a prompt sheet (CSV with a header row, or JSONL)
+ * and generates one image per row in the background:
+ * - Columns / keys: prompt (required), ratio, resolution, size, model, style,
+ *   negative_prompt, name (used in the ZIP file names); others are ignored
+ * - At most BATCH_CONCURRENCY rows of a batch run at once (default 2), and every
+ *   generation still goes through the shared queue (queue.js)
+ * - Each row has its own status and error; one failed row doesn't stop the batch
+ * - Results download as a ZIP: images/ plus manifest.json mapping rows to files and errors
+ *
+ * Batches are persisted to BATCHES_FILE (default .zimage_batches.json) like jobs,
+ * unfinished rows are re-run on startup. Finished batches are kept for
+ * BATCH_RETENTION_HOURS (default 24). Until then the library's retention leaves
+ * their images alone, so the ZIP stays complete however many rows there are.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { InvalidParameterError, QueueFullError, toZImageError } from './errors.js';
+import { generationQueue } from './queue.js';
+import { getImage, setRetentionHold } from './library.js';
+import { storage } from './storage.js';
+import { ZipWriter } from './zip.js';
+
+const batchesFile = process.env.BATCHES_FILE || path.join(process.cwd(), '.zimage_batches.json');
+const retentionMs = (parseFloat(process.env.BATCH_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const concurrency = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY) || 2);
+export const maxBatchRows = parseInt(process.env.BATCH_MAX_ROWS) || 200;
+
+export const batchColumns = ['prompt', 'ratio', 'resolution', 'size', 'model', 'style', 'negative_prompt', 'name'];
+
+const batches = new Map();
+let runner = null;
+let saveChain = Promise.resolve();
+
+// Images of a batch we still know about outlive the library's limits
+setRetentionHold(entry => Boolean(entry.batch_id) && batches.has(entry.batch_id));
+
+/**
+ * Write all batches to disk (writes are serialized)
+ */
+function saveBatches() {
+    saveChain = saveChain
+        .then(async () => {
+            const tmpFile = `${batchesFile}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify([...batches.values()], null, 2));
+            await fs.rename(tmpFile, batchesFile);
+        })
+        .catch(error => console.error(`[BATCH] Failed to persist batches: ${error.message}`));
+    return saveChain;
+}
+
+/**
+ * Drop finished batches older than the retention window
+ */
+function pruneBatches() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, batch] of batches) {
+        if (batch.completed_at && batch.completed_at * 1000 < cutoff) {
+            batches.delete(id);
+        }
+    }
+}
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes, line breaks inside quotes)
+ * @returns {{fields: string[], line: number}[]}
+ * @throws {InvalidParameterError}
+ */
+function parseCsvRecords(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push({ fields, line: recordLine });
+            fields = [];
+            field = '';
+            recordLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new InvalidParameterError(`CSV line ${recordLine}: unterminated quoted field`, 'file');
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ fields, line: recordLine });
+    }
+
+    // Blank lines carry no row
+    return records.filter(record => record.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Rows of a CSV prompt sheet, keyed by the header row
+ */
+function parseCsv(text) {
+    const [header, ...records] = parseCsvRecords(text);
+    if (!header) return [];
+
+    const columns = header.fields.map(name => name.trim().toLowerCase());
+    if (!columns.includes('prompt')) {
+        throw new InvalidParameterError("CSV header must have a 'prompt' column", 'file');
+    }
+
+    return records.map(({ fields, line }) => {
+        if (fields.length > columns.length) {
+            throw new InvalidParameterError(`CSV line ${line}: ${fields.length} fields, but the header has ${columns.length}`, 'file');
+        }
+        const row = {};
+        columns.forEach((column, i) => {
+            // Empty cells fall back to the defaults
+            if (fields[i] !== undefined && fields[i].trim() !== '') row[column] = fields[i].trim();
+        });
+        return { row, line };
+    });
+}
+
+/**
+ * Rows of a JSONL prompt sheet (one object per line)
+ */
+function parseJsonl(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((content, i) => {
+        if (!content.trim()) return;
+        let row;
+        try {
+            row = JSON.parse(content);
+        } catch (error) {
+            throw new InvalidParameterError(`JSONL line ${i + 1}: ${error.message}`, 'file');
+        }
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new InvalidParameterError(`JSONL line ${i + 1}: expected an object`, 'file');
+        }
+        rows.push({ row, line: i + 1 });
+    });
+    return rows;
+}
+
+/**
+ * Parse an uploaded prompt sheet
+ * The format comes from the file name / content type, else from the content ('{' = JSONL).
+ * @param {Buffer} buffer
+ * @param {object} file
+ * @param {string} file.name - Original file name
+ * @param {string} file.type - Content type
+ * @returns {{row: object, line: number}[]} - Only the known columns, `line` for error messages
+ * @throws {InvalidParameterError}
+ */
+export function parseBatchFile(buffer, { name = '', type = '' } = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const extension = path.extname(name).toLowerCase();
+
+    let format;
+    if (['.jsonl', '.ndjson'].includes(extension) || /(jsonl|ndjson|x-json-stream)/.test(type)) {
+        format = 'jsonl';
+    } else if (extension === '.csv' || /csv/.test(type)) {
+        format = 'csv';
+    } else {
+        format = text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+    }
+
+    return checkRows(format === 'jsonl' ? parseJsonl(text) : parseCsv(text), 'file');
+}
+
+/**
+ * Rows sent as JSON ({ "rows": [{ "prompt": ... }, ...] })
+ * @param {object[]} list
+ * @returns {{row: object, line: null}[]}
+ * @throws {InvalidParameterError}
+ */
+export function parseBatchRows(list) {
+    return checkRows(list.map((row, i) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new InvalidParameterError(`Row ${i + 1}: expected an object`, 'rows');
+        }
+        return { row, line: null };
+    }), 'rows');
+}
+
+/**
+ * Keep the known columns, enforce the row limits
+ */
+function checkRows(rows, param) {
+    if (rows.length === 0) {
+        throw new InvalidParameterError('The batch has no rows', param);
+    }
+    if (rows.length > maxBatchRows) {
+        throw new InvalidParameterError(`The batch has ${rows.length} rows, the maximum is ${maxBatchRows}`, param);
+    }
+    return rows.map(({ row, line }) => ({
+        row: Object.fromEntries(batchColumns.filter(column => row[column] !== undefined && row[column] !== null).map(column => [column, row[column]])),
+        line
+    }));
+}
+
+/**
+ * Per-status row counts
+ */
+function countRows(batch) {
+    const counts = { total: batch.rows.length, queued: 0, in_progress: 0, succeeded: 0, failed: 0 };
+    for (const row of batch.rows) counts[row.status]++;
+    return counts;
+}
+
+/**
+ * Public view of a batch
+ */
+export function serializeBatch(batch) {
+    const { base_url, api_key_id, quota_day, rows, ...publicBatch } = batch;
+    return {
+        ...publicBatch,
+        row_counts: countRows(batch),
+        rows: rows.map(({ params, ...row }) => row)
+    };
+}
+
+const waitForQueue = error => new Promise(resolve => setTimeout(resolve, (error.retryAfter || 10) * 1000));
+
+/**
+ * Generate one row through the registered runner
+ * A full generation queue never fails a row: it waits before starting, and a row
+ * that still hits QueueFullError (the queue filled up while its prompt was being
+ * prepared) is run again once there is room.
+ */
+async function runRow(batch, row) {
+    for (;;) {
+        try {
+            generationQueue.ensureCapacity(1);
+            break;
+        } catch (error) {
+            if (!(error instanceof QueueFullError)) throw error;
+            await waitForQueue(error);
+        }
+    }
+
+    row.status = 'in_progress';
+    await saveBatches();
+
+    for (;;) {
+        try {
+            const result = await runner(batch, row);
+            row.status = 'succeeded';
+            row.image_ids = result.image_ids;
+            row.revised_prompt = result.revised_prompt;
+        } catch (error) {
+            if (error instanceof QueueFullError) {
+                console.log(`[BATCH] ${batch.id} row ${row.row}: generation queue full, retrying`);
+                await waitForQueue(error);
+                continue;
+            }
+            console.error(`[BATCH] ${batch.id} row ${row.row} failed: ${error.message}`);
+            row.status = 'failed';
+            row.error = toZImageError(error).toJSON();
+        }
+        break;
+    }
+    await saveBatches();
+}
+
+/**
+ * Run a batch's queued rows, at most BATCH_CONCURRENCY at a time
+ */
+async function runBatch(batch) {
+    batch.status = 'in_progress';
+    batch.started_at = batch.started_at || Math.floor(Date.now() / 1000);
+    await saveBatches();
+
+    const queued = batch.rows.filter(row => row.status === 'queued');
+    console.log(`[BATCH] Running ${batch.id} (${queued.length} of ${batch.rows.length} rows)`);
+
+    let next = 0;
+    const worker = async () => {
+        while (next < queued.length) {
+            await runRow(batch, queued[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queued.length) }, worker));
+
+    batch.status = 'completed';
+    batch.completed_at = Math.floor(Date.now() / 1000);
+    const counts = countRows(batch);
+    console.log(`[BATCH] ${batch.id} completed: ${counts.succeeded} succeeded, ${counts.failed} failed`);
+    await saveBatches();
+}
+
+/**
+ * Load persisted batches
+ * Call before initLibrary(), so the library's startup retention sees which images are held.
+ */
+export async function loadBatches() {
+    try {
+        const data = await fs.readFile(batchesFile, 'utf8');
+        for (const batch of JSON.parse(data)) {
+            batches.set(batch.id, batch);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[BATCH] Failed to load ${batchesFile}: ${error.message}`);
+        }
+    }
+
+    pruneBatches();
+}
+
+/**
+ * Resume unfinished rows of the loaded batches
+ * @param {function(object, object): Promise<{image_ids: string[], revised_prompt: string}>} rowRunner
+ *   Receives the batch and the row (generation params in row.params); images it
+ *   saves must carry the batch ID (library meta.batchId). A QueueFullError makes
+ *   the row run again, so the runner must not give back its quota for one.
+ */
+export async function initBatches(rowRunner) {
+    runner = rowRunner;
+
+    let resumed = 0;
+    for (const batch of batches.values()) {
+        if (batch.status === 'completed') continue;
+        for (const row of batch.rows) {
+            if (row.status === 'in_progress') row.status = 'queued';
+        }
+        runBatch(batch);
+        resumed++;
+    }
+
+    if (resumed > 0) {
+        console.log(`[BATCH] Resumed ${resumed} unfinished batch(es)`);
+    }
+    await saveBatches();
+}
+
+/**
+ * Create and start a batch
+ * @param {object[]} rows - Validated generation params, one per row
+ * @param {object} options
+ * @param {string} options.baseUrl - Public base URL for result links
+ * @param {string} options.apiKeyId - API key that created the batch
+ * @param {string} options.quotaDay - Day the rows' images were charged to (for refunds)
+ * @param {string[]} options.names - Row names for the ZIP file names (optional)
+ */
+export async function createBatch(rows, { baseUrl, apiKeyId, quotaDay, names = [] } = {}) {
+    pruneBatches();
+
+    const batch = {
+        id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'image.batch',
+        status: 'queued',
+        created_at: Math.floor(Date.now() / 1000),
+        started_at: null,
+        completed_at: null,
+        base_url: baseUrl,
+        api_key_id: apiKeyId || null,
+        quota_day: quotaDay || null,
+        rows: rows.map((params, i) => ({
+            row: i + 1,
+            name: names[i] ?? null,
+            prompt: params.prompt,
+            ratio: params.ratio,
+            resolution: params.resolution,
+            status: 'queued',
+            image_ids: [],
+            revised_prompt: null,
+            error: null,
+            params
+        }))
+    };
+
+    batches.set(batch.id, batch);
+    await saveBatches();
+
+    runBatch(batch);
+
+    return batch;
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} id
+ * @param {object} options
+ * @param {string} options.apiKeyId - Only if created by this API key (null = any)
+ */
+export function getBatch(id, { apiKeyId = null } = {}) {
+    const batch = batches.get(id);
+    if (!batch || (apiKeyId && batch.api_key_id !== apiKeyId)) return null;
+    return batch;
+}
+
+/**
+ * File name part for a row: its name, else the start of its prompt
+ */
+function rowSlug(row) {
+    const slug = String(row.name ?? row.prompt)
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/[\s_-]+/g, '-')
+        .slice(0, 40)
+        .replace(/-+$/, '')
+        .toLowerCase();
+    return slug || 'image';
+}
+
+/**
+ * Stream a batch as a ZIP: images/<row>-<slug>.<ext> and manifest.json
+ * Rows that haven't finished are in the manifest with their current status.
+ * @param {object} batch
+ * @param {import('stream').Writable} stream
+ */
+export async function writeBatchZip(batch, stream) {
+    const zip = new ZipWriter(stream);
+    const width = String(batch.rows.length).length;
+    const manifestRows = [];
+
+    for (const row of batch.rows) {
+        const files = [];
+        let error = row.error;
+
+        for (const [i, id] of row.image_ids.entries()) {
+            const entry = getImage(id);
+            const buffer = entry ? await storage.get(entry.filename) : null;
+            if (!buffer) {
+                // Deleted by library retention (or by hand) since the row ran
+                error = error || { message: `Image ${id} is no longer in the library`, type: 'invalid_request_error', code: 'image_not_found', param: null };
+                continue;
+            }
+
+            const suffix = row.image_ids.length > 1 ? `-${i + 1}` : '';
+            const file = `images/${String(row.row).padStart(width, '0')}-${rowSlug(row)}${suffix}${path.extname(entry.filename)}`;
+            await zip.addFile(file, buffer, new Date(entry.created_at ? entry.created_at * 1000 : Date.now()));
+            files.push(file);
+        }
+
+        manifestRows.push({
+            row: row.row,
+            name: row.name,
+            prompt: row.prompt,
+            ratio: row.ratio,
+            resolution: row.resolution,
+            status: row.status,
+            files,
+            image_ids: row.image_ids,
+            revised_prompt: row.revised_prompt,
+            error
+        });
+    }
+
+    const manifest = {
+        id: batch.id,
+        status: batch.status,
+        created_at: batch.created_at,
+        completed_at: batch.completed_at,
+        row_counts: countRows(batch),
+        rows: manifestRows
+    };
+    await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.finish();
+}
@@ -6,21 +6,49 @@
  * /status - Check system and session status
  * /imagine <prompt> - Generate image with model selection
  * /quick <prompt> - Quick generate with default model (1K)
+ * /cookies - Import Z.AI cookies (admin chat only): paste them after the
+ *   command, or send/upload cookies.txt / a browser JSON export next
+ * /blocked [n] - Last prompts blocked by the moderation rules (admin chat only)
  * 
  * Features:
  * - Interactive model selection (1K/2K)
  * - Aspect ratio selection
  * - Auto-forwarding of all generated images
+ * - Bot generations are saved to the image library
+ * - Prompts are checked against the moderation rules (per Telegram user)
+ * - Generations wait in the shared queue (admin chat first, then round-robin between
+ *   users); the status message shows the queue position, and generations a
+ *   restart interrupted are run again
  */
 
 import TelegramBot from 'node-telegram-bot-api';
 import ZImage from './z-image.js';
+import { generationQueue } from './queue.js';
+import { addImage } from './library.js';
+import { recordAudit } from './audit-log.js';
+import { moderatePrompt, readBlocked } from './moderation.js';
+import {
+    SessionExpiredError,
+    UpstreamRateLimitedError,
+    ContentRejectedError,
+    InvalidParameterError,
+    UpstreamUnavailableError,
+    QueueFullError,
+    toZImageError
+} from './errors.js';
 
 const token = process.env.TELEGRAM_BOT_TOKEN;
 
 // Store pending generation requests
 const pendingGenerations = new Map();
 
+// Admin chats that sent /cookies and whose next message/file is the cookie export
+const awaitingCookies = new Set();
+const maxCookieFileBytes = 256 * 1024;
+
+// Credential commands only work in the configured admin chat (never a captured one)
+const isAdminChat = (chatId) => Boolean(process.env.TELEGRAM_CHAT_ID) && String(chatId) === String(process.env.TELEGRAM_CHAT_ID);
+
 export async function startBot() {
     if (!token) {
         console.log('[Bot] TELEGRAM_BOT_TOKEN not found in env. Bot skipped.');
@@ -30,6 +58,12 @@ export async function startBot() {
     console.log('[Bot] Starting Telegram Bot...');
     const bot = new TelegramBot(token, { polling: true });
 
+    // Generations a restart interrupted: replace their status message and run them again
+    generationQueue.registerResumer('telegram', ({ chatId, prompt, resolution, ratio, userId, statusMessageId }) => {
+        generateAndSend(bot, chatId, prompt, resolution, ratio, { userId, staleStatusId: statusMessageId })
+            .catch(error => console.error(`[Bot] Failed to resume generation: ${error.message}`));
+    });
+
     // Handle /start
     bot.onText(/\/start/, (msg) => {
         const chatId = msg.chat.id;
@@ -69,22 +103,98 @@ Expires: ${info.expiresInDays} days (${info.expiresInHours} hours)
 
 *🔧 Configuration:*
 Session Token: ${ZImage.sessionToken ? '✅ Set' : '❌ Missing'}
+Last Refresh: ${info.lastRefreshAttempt ? `${info.lastRefreshAttempt.success ? '✅' : '❌'} ${info.lastRefreshAttempt.attemptedAt}` : 'never'}
 Supported Ratios: ${ZImage.ratios.join(', ')}
 Resolutions: ${ZImage.resolutions.join(', ')}
 `;
         bot.sendMessage(chatId, status, { parse_mode: 'Markdown' });
     });
 
-    // Capture Chat ID from any message
+    // Handle /cookies - paste cookies after the command, or send them in the next message / as a file
+    bot.onText(/^\/cookies(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdminChat(chatId)) {
+            return bot.sendMessage(chatId, '⛔ Cookie management is only available in the admin chat (TELEGRAM_CHAT_ID).');
+        }
+
+        if (match[1]) {
+            return importCookiesFromChat(bot, msg, match[1]);
+        }
+
+        awaitingCookies.add(chatId);
+        bot.sendMessage(chatId,
+            `🍪 *Import Cookies*\n\nSend the cookies as your next message or upload a file:\n• cookies.txt (Netscape format)\n• \`name=value\` lines or a Cookie header\n• JSON export from a browser extension\n\nKnown cookies: \`session\`, ${ZImage.cookieNames.map(name => `\`${name}\``).join(', ')}`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /blocked [n] - review prompts the moderation rules refused
+    bot.onText(/^\/blocked(?:@\w+)?(?:\s+(\d+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdminChat(chatId)) {
+            return bot.sendMessage(chatId, '⛔ Moderation review is only available in the admin chat (TELEGRAM_CHAT_ID).');
+        }
+
+        try {
+            const limit = Math.min(parseInt(match[1]) || 10, 50);
+            const entries = await readBlocked(limit);
+            if (entries.length === 0) {
+                return await bot.sendMessage(chatId, '✅ No blocked prompts.');
+            }
+
+            // Plain text: prompts may contain Markdown characters
+            const lines = entries.map(entry => {
+                const sender = entry.api_key_id || `telegram user ${entry.telegram_user_id}`;
+                const prompt = entry.prompt.length > 200 ? entry.prompt.slice(0, 200) + '...' : entry.prompt;
+                return `${entry.time.replace('T', ' ').slice(0, 19)} · ${entry.source} · ${sender}\nRule: ${entry.rule} (${entry.policy})\n"${prompt}"`;
+            });
+            await bot.sendMessage(chatId, `🚫 Last ${entries.length} blocked prompt(s), newest first:\n\n${lines.join('\n\n')}`.slice(0, 4096));
+        } catch (error) {
+            console.error(`[Bot] Failed to read blocked prompts: ${error.message}`);
+            bot.sendMessage(chatId, `❌ Could not read the moderation log: ${error.message}`).catch(() => {});
+        }
+    });
+
+    // Cookie export sent after /cookies
     bot.on('message', (msg) => {
         const chatId = msg.chat.id;
-        // Log it so user can find it
-        if (!process.env.TELEGRAM_CHAT_ID) {
-            console.log(`[Bot] Captured Chat ID: ${chatId}. Add 'TELEGRAM_CHAT_ID=${chatId}' to .env to persist.`);
+        if (!awaitingCookies.has(chatId) || !msg.text || msg.text.startsWith('/')) return;
+
+        awaitingCookies.delete(chatId);
+        importCookiesFromChat(bot, msg, msg.text);
+    });
+
+    // Uploaded cookie file: after /cookies, or with /cookies as caption
+    bot.on('document', async (msg) => {
+        const chatId = msg.chat.id;
+        const isCookieCommand = /^\/cookies\b/.test(msg.caption || '');
+        if (!awaitingCookies.has(chatId) && !isCookieCommand) return;
+
+        awaitingCookies.delete(chatId);
+        if (!isAdminChat(chatId)) {
+            return bot.sendMessage(chatId, '⛔ Cookie management is only available in the admin chat (TELEGRAM_CHAT_ID).');
         }
-        // Store temporarily in memory if not in env
-        if (!currentChatId) {
-            currentChatId = chatId;
+        if (msg.document.file_size > maxCookieFileBytes) {
+            return bot.sendMessage(chatId, `❌ File too large (max ${maxCookieFileBytes / 1024} KB).`);
+        }
+
+        try {
+            const chunks = [];
+            for await (const chunk of bot.getFileStream(msg.document.file_id)) {
+                chunks.push(chunk);
+            }
+            await importCookiesFromChat(bot, msg, Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            console.error(`[Bot] Failed to download cookie file: ${error.message}`);
+            bot.sendMessage(chatId, `❌ Could not read the file: ${error.message}`);
+        }
+    });
+
+    // Log the Chat ID so the admin can find theirs. It is never used for alerts
+    // until it is set as TELEGRAM_CHAT_ID - anyone can message the bot.
+    bot.on('message', (msg) => {
+        if (!process.env.TELEGRAM_CHAT_ID) {
+            console.log(`[Bot] Message from Chat ID: ${msg.chat.id}. Add 'TELEGRAM_CHAT_ID=${msg.chat.id}' to .env to receive alerts there.`);
         }
     });
 
@@ -96,10 +206,11 @@ Resolutions: ${ZImage.resolutions.join(', ')}
         if (!prompt) {
             return bot.sendMessage(chatId, '❌ Please provide a prompt.\n\nExample: `/imagine a cute cat girl with blue eyes`', { parse_mode: 'Markdown' });
         }
+        if (!checkPrompt(bot, msg, prompt)) return;
 
         // Store prompt for callback
         const requestId = `${chatId}_${Date.now()}`;
-        pendingGenerations.set(requestId, { prompt, chatId });
+        pendingGenerations.set(requestId, { prompt, chatId, userId: msg.from?.id ?? chatId });
 
         // Show model selection
         const keyboard = {
@@ -128,8 +239,9 @@ Resolutions: ${ZImage.resolutions.join(', ')}
         if (!prompt) {
             return bot.sendMessage(chatId, '❌ Please provide a prompt.\n\nExample: `/quick a cute cat`', { parse_mode: 'Markdown' });
         }
+        if (!checkPrompt(bot, msg, prompt)) return;
 
-        await generateAndSend(bot, chatId, prompt, '1K', '1:1');
+        await generateAndSend(bot, chatId, prompt, '1K', '1:1', { userId: msg.from?.id ?? chatId });
     });
 
     // Handle callback queries (button clicks)
@@ -198,7 +310,7 @@ Resolutions: ${ZImage.resolutions.join(', ')}
             // Start generation
             bot.answerCallbackQuery(query.id, { text: '🎨 Generating...' });
             
-            await generateAndSend(bot, chatId, pending.prompt, resolution, ratio);
+            await generateAndSend(bot, chatId, pending.prompt, resolution, ratio, { userId: pending.userId });
             
             // Clean up
             pendingGenerations.delete(requestId);
@@ -217,55 +329,76 @@ Resolutions: ${ZImage.resolutions.join(', ')}
 
 /**
  * Generate image and send to Telegram
+ * @param {object} options
+ * @param {number} options.userId - Telegram user who asked (queue fairness)
+ * @param {number} options.staleStatusId - Status message left over from before a restart
  */
-async function generateAndSend(bot, chatId, prompt, resolution, ratio) {
+async function generateAndSend(bot, chatId, prompt, resolution, ratio, { userId = chatId, staleStatusId = null } = {}) {
     const startTime = Date.now();
-    
-    const statusMsg = await bot.sendMessage(chatId, 
-        `⏳ *Generating Image...*\n\n` +
+
+    if (staleStatusId) {
+        bot.deleteMessage(chatId, staleStatusId).catch(() => {});
+    }
+
+    const details =
         `Quality: *${resolution}*\n` +
         `Ratio: *${ratio}*\n` +
-        `Prompt: _${prompt.slice(0, 100)}${prompt.length > 100 ? '...' : ''}_\n\n` +
-        `Please wait... This may take ${resolution === '2K' ? '1-2 minutes' : '30-60 seconds'}.`,
-        { parse_mode: 'Markdown' }
-    );
+        `Prompt: _${prompt.slice(0, 100)}${prompt.length > 100 ? '...' : ''}_\n\n`;
+    const statusText = (position) => position > 0
+        ? `🕒 *Queued - Position ${position}*\n\n${details}Waiting for a free slot...`
+        : `⏳ *Generating Image...*\n\n${details}Please wait... This may take ${resolution === '2K' ? '1-2 minutes' : '30-60 seconds'}.`;
+
+    const statusMsg = await bot.sendMessage(chatId, statusText(0), { parse_mode: 'Markdown' });
+
+    // Follow the queue position in the status message (edits chained so they arrive in order)
+    let shownPosition = 0;
+    let statusEdits = Promise.resolve();
+    const showPosition = (position) => {
+        if (position === shownPosition) return;
+        shownPosition = position;
+        statusEdits = statusEdits
+            .then(() => bot.editMessageText(statusText(position), { chat_id: chatId, message_id: statusMsg.message_id, parse_mode: 'Markdown' }))
+            .catch(() => {});
+    };
 
     try {
-        // Generate image
-        const result = await ZImage.generate(prompt, {
+        // Generate image through the shared queue (admin chat first, users take turns)
+        const result = await generationQueue.run(() => ZImage.generate(prompt, {
             resolution,
             ratio,
             noWatermark: true
+        }), {
+            priority: isAdminChat(chatId) ? 'admin' : 'telegram',
+            requester: `telegram:${userId}`,
+            kind: 'telegram',
+            payload: { chatId, prompt, resolution, ratio, userId, statusMessageId: statusMsg.message_id },
+            onPosition: showPosition
         });
 
-        // Find image URL
-        const findImageUrl = (obj) => {
-            if (!obj) return null;
-            if (typeof obj === 'string') {
-                if (obj.match(/^https?:\/\/.*\.(png|jpg|jpeg|webp)/i) || obj.includes('/z_image/')) return obj;
-                return null;
-            }
-            if (typeof obj === 'object') {
-                if (obj.url && typeof obj.url === 'string' && (obj.url.startsWith('http') || obj.url.startsWith('/'))) return obj.url;
-                if (obj.image_url) return obj.image_url;
-                for (const key in obj) {
-                    const found = findImageUrl(obj[key]);
-                    if (found) return found;
-                }
-            }
-            return null;
-        };
-
-        const imageUrl = findImageUrl(result);
-
-        if (!imageUrl) {
-            throw new Error('Could not extract image URL from response');
-        }
+        // Z.AI may return several images, the bot sends the first
+        const [image] = result.images;
 
         // Download image
-        const b64 = await ZImage.downloadAsBase64(imageUrl);
+        const b64 = await ZImage.downloadAsBase64(image.url);
         const imgBuffer = Buffer.from(b64, 'base64');
 
+        // Keep a copy in the image library (same storage as the API)
+        try {
+            await addImage(imgBuffer, {
+                prompt,
+                model: resolution === '2K' ? 'z-image-pro' : 'z-image',
+                ratio,
+                resolution,
+                width: image.width,
+                height: image.height,
+                seed: image.seed,
+                zaiImageId: image.id || result.id,
+                source: 'telegram'
+            });
+        } catch (saveError) {
+            console.error(`[Bot] Failed to save image: ${saveError.message}`);
+        }
+
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
         // Send image
@@ -290,13 +423,15 @@ async function generateAndSend(bot, chatId, prompt, resolution, ratio) {
         }
 
         // Delete status message
+        await statusEdits;
         bot.deleteMessage(chatId, statusMsg.message_id).catch(() => {});
 
     } catch (error) {
         console.error(`[Bot] Generation failed: ${error.message}`);
-        
+
+        await statusEdits;
         bot.editMessageText(
-            `❌ *Generation Failed*\n\nError: ${error.message}\n\nPlease try again or contact support.`,
+            friendlyError(error),
             {
                 chat_id: chatId,
                 message_id: statusMsg.message_id,
@@ -308,19 +443,100 @@ async function generateAndSend(bot, chatId, prompt, resolution, ratio) {
     }
 }
 
-// Global variable to hold chat ID (from env or captured)
-let currentChatId = process.env.TELEGRAM_CHAT_ID;
+// Import cookies for the default account, reply with what was applied
+async function importCookiesFromChat(bot, msg, text) {
+    const chatId = msg.chat.id;
+    const target = ZImage.pool.accounts[0]?.id || null;
+
+    // The message contains credentials - don't leave it in the chat history
+    bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+
+    try {
+        const { imported, skipped } = await ZImage.importCookies(text);
+        recordAudit({ action: 'session.cookies.import', actor: `telegram:${chatId}`, target, success: imported.length > 0, details: { imported, skipped } });
+
+        if (imported.length === 0) {
+            return bot.sendMessage(chatId, `❌ No known cookies found.${skipped.length ? `\n\nSkipped: ${skipped.join(', ')}` : ''}`);
+        }
+
+        const info = ZImage.getSessionInfo();
+        bot.sendMessage(chatId,
+            `✅ Imported ${imported.length} cookie(s): ${imported.join(', ')}${skipped.length ? `\nSkipped (unknown): ${skipped.join(', ')}` : ''}\n\nSession: ${info.valid ? `valid (${info.expiresInDays} days left)` : 'invalid/expired'}`
+        );
+    } catch (error) {
+        recordAudit({ action: 'session.cookies.import', actor: `telegram:${chatId}`, target, success: false, details: { error: error.message } });
+        bot.sendMessage(chatId, `❌ Import failed: ${error.message}`);
+    }
+}
+
+/**
+ * Run a prompt through the moderation rules for its sender, tell them if it's blocked
+ * @returns {boolean} - Whether the prompt may be generated
+ */
+function checkPrompt(bot, msg, prompt) {
+    try {
+        moderatePrompt(prompt, { source: 'telegram', telegramUserId: msg.from?.id ?? msg.chat.id });
+        return true;
+    } catch (error) {
+        if (!(error instanceof ContentRejectedError)) throw error;
+        bot.sendMessage(msg.chat.id, `🚫 *Prompt Blocked*\n\nThis prompt isn't allowed by the server's content policy. Try rephrasing it.`, { parse_mode: 'Markdown' });
+        return false;
+    }
+}
+
+// User-facing text for a failed generation
+function friendlyError(error) {
+    const zError = toZImageError(error);
+
+    if (zError instanceof SessionExpiredError) {
+        return `🔑 *Session Expired*\n\nThe Z.AI session needs to be renewed. Please ask the bot admin to update it.`;
+    }
+    if (zError instanceof UpstreamRateLimitedError) {
+        const wait = zError.retryAfter ? `in ${Math.ceil(zError.retryAfter / 60)} min` : 'in a few minutes';
+        return `⏳ *Too Many Requests*\n\nZ.AI is rate limiting us. Please try again ${wait}.`;
+    }
+    if (zError instanceof ContentRejectedError) {
+        return `🚫 *Prompt Rejected*\n\nZ.AI's content filter refused this prompt. Try rephrasing it.`;
+    }
+    if (zError instanceof InvalidParameterError) {
+        return `⚠️ *Invalid Request*\n\n${zError.message}`;
+    }
+    if (zError instanceof QueueFullError) {
+        return `🚦 *Queue Full*\n\nToo many images are waiting right now. Please try again in a minute.`;
+    }
+    if (zError instanceof UpstreamUnavailableError) {
+        return `🌐 *Z.AI Unavailable*\n\nZ.AI isn't responding properly right now. Please try again later.`;
+    }
+    return `❌ *Generation Failed*\n\nError: ${zError.message}\n\nPlease try again or contact support.`;
+}
+
+// Helper to send a text message (alerts) to admin - only ever the configured TELEGRAM_CHAT_ID
+export async function sendAdminMessage(text) {
+    if (!token) return;
+
+    const adminChatId = process.env.TELEGRAM_CHAT_ID;
+    if (!adminChatId) {
+        console.log(`[Bot] TELEGRAM_CHAT_ID is not set, alert not sent: ${text.replace(/[*_`]/g, '').replace(/\s+/g, ' ')}`);
+        return;
+    }
+
+    const bot = new TelegramBot(token); // lightweight instance for sending
+    try {
+        await bot.sendMessage(adminChatId, text, { parse_mode: 'Markdown' });
+    } catch {
+        // Error text may contain characters Markdown can't parse - send it plain
+        await bot.sendMessage(adminChatId, text.replace(/[*_`]/g, ''));
+    }
+}
 
 // Helper to send image to admin
 export async function sendImageToAdmin(imageBuffer, caption, fullPromptText) {
     // strict check: if we don't have a token, we can't do anything
     if (!token) return;
 
-    // Update chat ID from env if changed hot
-    if (process.env.TELEGRAM_CHAT_ID) currentChatId = process.env.TELEGRAM_CHAT_ID;
-
-    if (!currentChatId) {
-        console.log('[Bot] Cannot forward image: No Chat ID configured. Run /start in bot.');
+    const adminChatId = process.env.TELEGRAM_CHAT_ID;
+    if (!adminChatId) {
+        console.log('[Bot] Cannot forward image: TELEGRAM_CHAT_ID is not set.');
         return;
     }
 
@@ -328,12 +544,12 @@ export async function sendImageToAdmin(imageBuffer, caption, fullPromptText) {
         const bot = new TelegramBot(token); // lightweight instance for sending
 
         // 1. Send the Photo
-        await bot.sendPhoto(currentChatId, imageBuffer, { caption: caption, parse_mode: 'Markdown' });
+        await bot.sendPhoto(adminChatId, imageBuffer, { caption: caption, parse_mode: 'Markdown' });
 
         // 2. Send the Prompt as a text file (if provided)
         if (fullPromptText) {
             const promptBuffer = Buffer.from(fullPromptText, 'utf-8');
-            await bot.sendDocument(currentChatId, promptBuffer, {}, {
+            await bot.sendDocument(adminChatId, promptBuffer, {}, {
                 filename: 'prompt.txt',
                 contentType: 'text/plain'
             });
@@ -0,0 +1,213 @@
+/**
+ * Error Taxonomy
+ *
+ * Typed errors for everything that can go wrong talking to Z.AI. Each class
+ * carries the HTTP status, OpenAI error `type`/`code`/`param` and an optional
+ * Retry-After (seconds), so the API and the bot can report failures without
+ * guessing from messages or leaking upstream response bodies.
+ *
+ * | Class                    | Status  | code                     |
+ * |--------------------------|---------|--------------------------|
+ * | SessionExpiredError      | 401     | session_expired          |
+ * | UpstreamRateLimitedError | 429     | rate_limit_exceeded      |
+ * | ContentRejectedError     | 400     | content_policy_violation |
+ * | InvalidParameterError    | 400     | invalid_value            |
+ * | UnsupportedOperationError| 400     | unsupported_operation    |
+ * | UpstreamUnavailableError | 502/503 | upstream_unavailable     |
+ * | QueueFullError           | 429     | queue_full               |
+ *
+ * Errors about the caller's own API key (api-keys.js):
+ *
+ * | Class                    | Status  | code                     |
+ * |--------------------------|---------|--------------------------|
+ * | AuthenticationError      | 401     | invalid_api_key          |
+ * | PermissionDeniedError    | 403     | permission_denied        |
+ * | RateLimitedError         | 429     | rate_limit_exceeded      |
+ * | QuotaExceededError       | 429     | insufficient_quota       |
+ */
+
+export class ZImageError extends Error {
+    static status = 500;
+    static type = 'server_error';
+    static code = null;
+
+    /**
+     * @param {string} message
+     * @param {object} options
+     * @param {number} options.status - HTTP status override
+     * @param {string} options.code - OpenAI error code override
+     * @param {string} options.param - Offending request parameter
+     * @param {number} options.retryAfter - Seconds until a retry makes sense
+     * @param {number} options.upstreamStatus - HTTP status Z.AI returned
+     * @param {Error} options.cause - Original error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = new.target.name;
+        this.status = options.status ?? new.target.status;
+        this.type = new.target.type;
+        this.code = options.code ?? new.target.code;
+        this.param = options.param ?? null;
+        this.retryAfter = options.retryAfter ?? null;
+        this.upstreamStatus = options.upstreamStatus ?? null;
+    }
+
+    /**
+     * OpenAI-shaped error object
+     */
+    toJSON() {
+        return { message: this.message, type: this.type, code: this.code, param: this.param };
+    }
+}
+
+export class SessionExpiredError extends ZImageError {
+    static status = 401;
+    static type = 'authentication_error';
+    static code = 'session_expired';
+
+    constructor(message = 'Session expired. Please provide a fresh session token via setSession() or Z_IMAGE_SESSION env var.', options) {
+        super(message, options);
+    }
+}
+
+export class UpstreamRateLimitedError extends ZImageError {
+    static status = 429;
+    static type = 'requests';
+    static code = 'rate_limit_exceeded';
+}
+
+export class ContentRejectedError extends ZImageError {
+    static status = 400;
+    static type = 'invalid_request_error';
+    static code = 'content_policy_violation';
+
+    constructor(message = 'Your request was rejected as a result of the content policy.', options = {}) {
+        super(message, { param: 'prompt', ...options });
+    }
+}
+
+export class InvalidParameterError extends ZImageError {
+    static status = 400;
+    static type = 'invalid_request_error';
+    static code = 'invalid_value';
+
+    /**
+     * @param {string} message
+     * @param {string} param - Offending request parameter
+     */
+    constructor(message, param = null, options = {}) {
+        super(message, { param, ...options });
+    }
+}
+
+// The request is valid, but Z.AI can't do it (e.g. image edits). 400 so clients don't retry.
+export class UnsupportedOperationError extends ZImageError {
+    static status = 400;
+    static type = 'invalid_request_error';
+    static code = 'unsupported_operation';
+}
+
+export class UpstreamUnavailableError extends ZImageError {
+    static status = 502;
+    static type = 'server_error';
+    static code = 'upstream_unavailable';
+}
+
+export class AuthenticationError extends ZImageError {
+    static status = 401;
+    static type = 'invalid_request_error';
+    static code = 'invalid_api_key';
+}
+
+export class PermissionDeniedError extends ZImageError {
+    static status = 403;
+    static type = 'invalid_request_error';
+    static code = 'permission_denied';
+}
+
+export class RateLimitedError extends ZImageError {
+    static status = 429;
+    static type = 'requests';
+    static code = 'rate_limit_exceeded';
+}
+
+export class QuotaExceededError extends ZImageError {
+    static status = 429;
+    static type = 'insufficient_quota';
+    static code = 'insufficient_quota';
+}
+
+// The generation queue (queue.js) is at its max depth
+export class QueueFullError extends ZImageError {
+    static status = 429;
+    static type = 'requests';
+    static code = 'queue_full';
+}
+
+// Z.AI messages that mean the prompt/image was refused by moderation
+const contentRejectedPattern = /sensitive|violat|content policy|prohibit|inappropriate|nsfw|illegal|敏感|违规|违禁|不合规/i;
+// Z.AI messages that mean "slow down"
+const rateLimitedPattern = /rate limit|too many|too frequent|quota|频繁|限流/i;
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to seconds
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = parseInt(value);
+    if (String(seconds) === String(value).trim()) return Math.max(seconds, 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+/**
+ * Classify an error message reported by Z.AI (HTTP 200 with a non-zero `code`, or a 4xx body)
+ * @returns {ZImageError|null} - null if the message doesn't match a known class
+ */
+export function classifyUpstreamMessage(message, options = {}) {
+    if (contentRejectedPattern.test(message)) return new ContentRejectedError(`Prompt rejected by Z.AI: ${message}`, options);
+    if (rateLimitedPattern.test(message)) return new UpstreamRateLimitedError(`Z.AI rate limit: ${message}`, options);
+    return null;
+}
+
+/**
+ * Turn any error from a Z.AI call (axios error, network error, ...) into a ZImageError
+ * Upstream response bodies are logged, never copied into the error.
+ * @param {Error} error
+ * @returns {ZImageError}
+ */
+export function toZImageError(error) {
+    if (error instanceof ZImageError) return error;
+
+    const response = error.response;
+    if (!response) {
+        // Network failure / timeout
+        if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+            return new UpstreamUnavailableError(`Z.AI unreachable: ${error.message}`, { status: 503, cause: error });
+        }
+        return new ZImageError(error.message, { cause: error });
+    }
+
+    const { status, data } = response;
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    const isHtml = typeof data === 'string' && /^\s*</.test(data);
+    const message = (typeof data === 'object' && (data?.message || data?.msg || data?.error?.message || data?.detail)) || '';
+    const options = { upstreamStatus: status, retryAfter, cause: error };
+
+    console.error(`[ZImage] Upstream HTTP ${status}: ${isHtml ? '<html>' : JSON.stringify(data)?.slice(0, 300)}`);
+
+    if (status === 429) {
+        return new UpstreamRateLimitedError(`Z.AI rate limit reached${message ? `: ${message}` : ''}`, options);
+    }
+    if (status === 403 && isHtml) {
+        return new UpstreamUnavailableError('Z.AI blocked the request (WAF). Try refreshing the session cookies.', { ...options, code: 'upstream_blocked' });
+    }
+    if (status === 401 || status === 403) {
+        return new SessionExpiredError(`Z.AI rejected the session (HTTP ${status})${message ? `: ${message}` : ''}`, options);
+    }
+    if (status >= 400 && status < 500) {
+        return classifyUpstreamMessage(message, options)
+            || new InvalidParameterError(`Z.AI rejected the request (HTTP ${status})${message ? `: ${message}` : ''}`, null, options);
+    }
+    return new UpstreamUnavailableError(`Z.AI returned HTTP ${status}`, { ...options, status: status === 503 ? 503 : 502 });
+}
@@ -0,0 +1,462 @@
+/**
+ * Image Generation Pipeline
+ *
+ * Shared by the OpenAI-compatible endpoint and the async job API:
+ * - Maps OpenAI params (model, size, quality) to Z.AI params (ratio, resolution)
+ *   using the model registry (models.js). Any WIDTHxHEIGHT size works: it gets the
+ *   closest ratio and the resolution tier that covers its pixel count.
+ * - Runs the prompt pipeline (prompts.js), its output is the `revised_prompt`
+ * - Generates via ZImage, downloads the result and saves it to the image library
+ * - Dedups identical requests through the result cache (result-cache.js) when enabled
+ * - Builds the OpenAI-shaped response payload
+ */
+
+import ZImage from './z-image.js';
+import { sendImageToAdmin } from './bot.js';
+import { generationQueue } from './queue.js';
+import { rootKeyId } from './api-keys.js';
+import { addImage, getImage, getImageUrl } from './library.js';
+import { storage } from './storage.js';
+import { outputFormats, fitModes, convertImage, fitImage } from './image-format.js';
+import { models, defaultModel, findModel } from './models.js';
+import { validatePromptParams, renderPrompt, revisePrompt } from './prompts.js';
+import { moderatePrompt } from './moderation.js';
+import { isResultCacheEnabled, resultCacheKey, withResultCache } from './result-cache.js';
+import { ZImageError, UpstreamUnavailableError } from './errors.js';
+
+// Map string quality to resolution (only if the model allows it)
+const qualityToResolution = {
+    'standard': '1K',
+    'low': '1K',
+    'medium': '1K',
+    'hd': '2K',
+    'high': '2K'
+};
+
+// Approximate pixel count of each Z.AI resolution tier
+const resolutionPixels = {
+    '1K': 1024 * 1024,
+    '2K': 2048 * 2048
+};
+
+const sizePattern = /^(\d+)x(\d+)$/;
+const maxDimension = 4096;
+
+/**
+ * Parse a WIDTHxHEIGHT size
+ * @returns {{width: number, height: number}|null} - null for 'auto' and invalid sizes
+ */
+export function parseSize(size) {
+    const match = sizePattern.exec(size);
+    if (!match) return null;
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+/**
+ * Closest ratio to width/height (compared on a log scale, so 2:1 and 1:2 are equally far from 1:1)
+ * @param {string[]} ratios - Candidates, e.g. ['1:1', '16:9']
+ */
+export function nearestRatio(width, height, ratios) {
+    const target = Math.log(width / height);
+    const distance = (ratio) => {
+        const [w, h] = ratio.split(':').map(Number);
+        return Math.abs(Math.log(w / h) - target);
+    };
+    return ratios.reduce((best, ratio) => distance(ratio) < distance(best) ? ratio : best);
+}
+
+/**
+ * Smallest resolution tier with enough pixels for width x height (10% slack), else the largest
+ * @param {string[]} resolutions - Candidates, e.g. ['1K', '2K']
+ */
+export function impliedResolution(width, height, resolutions) {
+    const sorted = [...resolutions].sort((a, b) => resolutionPixels[a] - resolutionPixels[b]);
+    return sorted.find(resolution => resolutionPixels[resolution] * 1.1 >= width * height) || sorted[sorted.length - 1];
+}
+
+/**
+ * Normalize an OpenAI request body into generation params
+ * Unknown models are kept as sent and reported by validateGenerationParams().
+ * @param {object} body - OpenAI /v1/images/generations request body
+ */
+export function mapGenerationParams(body) {
+    const {
+        prompt,
+        model: requestedModel,
+        n = 1,
+        size = 'auto',
+        quality,
+        response_format = 'url',
+        output_format = null,
+        output_compression,
+        fit = null,
+        style = null,
+        negative_prompt = null,
+        prompt_variables = null,
+        enhance_prompt = true,
+        user = null,
+        cache = true
+    } = body;
+
+    const model = requestedModel === undefined ? defaultModel : findModel(requestedModel);
+    const config = model || defaultModel;
+    const dimensions = parseSize(size);
+
+    // Map OpenAI params to Z.AI params, the `ratio` / `resolution` extensions win
+    let ratio = body.ratio;
+    if (ratio === undefined) {
+        if (config.sizes[size]) {
+            ratio = config.sizes[size];
+        } else if (dimensions && dimensions.width > 0 && dimensions.height > 0) {
+            ratio = nearestRatio(dimensions.width, dimensions.height, config.ratios);
+        } else {
+            ratio = config.ratios.includes('1:1') ? '1:1' : config.ratios[0];
+        }
+    }
+
+    let resolution = body.resolution;
+    if (resolution === undefined) {
+        resolution = config.resolution;
+        if (config.resolutions.includes(qualityToResolution[quality])) {
+            resolution = qualityToResolution[quality];
+        } else if (dimensions) {
+            resolution = impliedResolution(dimensions.width, dimensions.height, config.resolutions);
+        }
+    }
+
+    return {
+        prompt,
+        model: model ? model.id : requestedModel,
+        n,
+        size,
+        width: dimensions?.width ?? null,
+        height: dimensions?.height ?? null,
+        ratio,
+        resolution,
+        fit,
+        response_format,
+        output_format,
+        output_compression,
+        style,
+        negative_prompt,
+        prompt_variables,
+        enhance_prompt,
+        user,
+        cache
+    };
+}
+
+/**
+ * Check generation params, returns an OpenAI-style error or null
+ * @param {object} params - Output of mapGenerationParams()
+ * @returns {{message: string, param: string}|null}
+ */
+export function validateGenerationParams(params) {
+    if (!params.prompt) {
+        return { message: 'Prompt is required', param: 'prompt' };
+    }
+    const invalidPrompt = validatePromptParams(params);
+    if (invalidPrompt) {
+        return invalidPrompt;
+    }
+    const model = findModel(params.model);
+    if (!model) {
+        return { message: `The model '${params.model}' does not exist. Available models: ${models.map(m => m.id).join(', ')}`, param: 'model' };
+    }
+    if (!Number.isInteger(params.n) || params.n < 1) {
+        return { message: `Invalid 'n': expected an integer >= 1, but got ${JSON.stringify(params.n)} instead.`, param: 'n' };
+    }
+    if (params.n > model.max_n) {
+        return { message: `Invalid 'n': integer above maximum value. Expected a value <= ${model.max_n}, but got ${params.n} instead.`, param: 'n' };
+    }
+    if (params.size !== 'auto') {
+        if (params.width === null) {
+            return { message: `Invalid 'size': expected 'auto' or WIDTHxHEIGHT (e.g. '1536x1024'), but got ${JSON.stringify(params.size)} instead.`, param: 'size' };
+        }
+        if (params.width < 1 || params.height < 1 || params.width > maxDimension || params.height > maxDimension) {
+            return { message: `Invalid 'size': width and height must be between 1 and ${maxDimension}, but got ${params.size} instead.`, param: 'size' };
+        }
+    }
+    if (!model.ratios.includes(params.ratio)) {
+        return { message: `Invalid 'ratio': expected one of ${model.ratios.join(', ')} for model '${model.id}', but got ${JSON.stringify(params.ratio)} instead.`, param: 'ratio' };
+    }
+    if (!model.resolutions.includes(params.resolution)) {
+        return { message: `Invalid 'resolution': expected one of ${model.resolutions.join(', ')} for model '${model.id}', but got ${JSON.stringify(params.resolution)} instead.`, param: 'resolution' };
+    }
+    if (params.cache !== undefined && typeof params.cache !== 'boolean') {
+        return { message: `Invalid 'cache': expected a boolean.`, param: 'cache' };
+    }
+    if (params.fit !== null) {
+        if (!fitModes.includes(params.fit)) {
+            return { message: `Invalid 'fit': expected one of ${fitModes.join(', ')}, but got ${JSON.stringify(params.fit)} instead.`, param: 'fit' };
+        }
+        if (params.width === null) {
+            return { message: `'fit' needs an explicit size (WIDTHxHEIGHT), not 'auto'.`, param: 'fit' };
+        }
+    }
+    if (params.output_format !== null && !outputFormats.includes(params.output_format)) {
+        return { message: `Invalid 'output_format': expected one of ${outputFormats.join(', ')}, but got ${JSON.stringify(params.output_format)} instead.`, param: 'output_format' };
+    }
+    if (params.output_compression !== undefined) {
+        if (!Number.isInteger(params.output_compression) || params.output_compression < 0 || params.output_compression > 100) {
+            return { message: `Invalid 'output_compression': expected an integer between 0 and 100, but got ${JSON.stringify(params.output_compression)} instead.`, param: 'output_compression' };
+        }
+        if (params.output_format !== 'jpeg' && params.output_format !== 'webp') {
+            return { message: `'output_compression' is only supported with output_format 'jpeg' or 'webp'.`, param: 'output_compression' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Download, store and forward one image of a Z.AI result
+ * Without fit / output_format, an image that can't be downloaded or saved falls back
+ * to a proxy URL for the original. With them that would silently drop what the
+ * caller asked for, so those failures are errors.
+ * @returns {Promise<object>} - { entry, buffer } once saved, { sourceUrl } if it couldn't be
+ * @throws {UpstreamUnavailableError} - The image couldn't be downloaded or transcoded (fit / output_format)
+ * @throws {ZImageError} - The transcoded image couldn't be saved
+ */
+async function storeImage(image, result, progressInfo, params, { baseUrl, onProgress, meta }) {
+    const { prompt, revised_prompt, user, model, size, width, height, fit, ratio, resolution, output_format, output_compression } = params;
+    const imageUrl = image.url;
+
+    onProgress('image_url', { ...progressInfo, url: imageUrl });
+
+    // User requested flow: server downloads -> converts to base64 -> sends to client
+    // This ensures "broken image" icons don't appear in OpenWebUI
+    console.log(`[GENERATE] Downloading image for Data URI conversion... ${imageUrl.slice(0, 30)}...`);
+
+    const transformed = Boolean(fit || output_format);
+
+    let imgBuffer;
+    try {
+        onProgress('downloading', progressInfo);
+        const downloadStartTime = Date.now();
+        const b64 = await ZImage.downloadAsBase64(imageUrl);
+        console.log(`[TIMING] Download took ${Date.now() - downloadStartTime}ms`);
+        imgBuffer = Buffer.from(b64, 'base64');
+    } catch (err) {
+        console.error(`[GENERATE] Failed to download image: ${err.message}`);
+        if (transformed) {
+            throw new UpstreamUnavailableError(`Failed to download the generated image for conversion: ${err.message}`, { cause: err });
+        }
+        return { sourceUrl: imageUrl };
+    }
+
+    try {
+        if (fit) {
+            imgBuffer = await fitImage(imgBuffer, width, height, fit);
+        }
+        if (output_format) {
+            imgBuffer = await convertImage(imgBuffer, output_format, output_compression);
+        }
+    } catch (err) {
+        console.error(`[GENERATE] Failed to convert image: ${err.message}`);
+        throw new UpstreamUnavailableError(
+            `Z.AI's image could not be converted (${[fit && `fit ${fit}`, output_format && `output_format ${output_format}`].filter(Boolean).join(', ')}): ${err.message}`,
+            { code: 'image_processing_failed', cause: err }
+        );
+    }
+
+    try {
+        const entry = await addImage(imgBuffer, {
+            prompt,
+            revisedPrompt: revised_prompt,
+            user,
+            model,
+            size,
+            ratio: result.ratio || ratio,
+            resolution: result.resolution || resolution,
+            width: fit ? width : image.width,
+            height: fit ? height : image.height,
+            seed: image.seed,
+            zaiImageId: image.id || result.id,
+            ...meta
+        });
+        onProgress('saved', { ...progressInfo, id: entry.id, url: getImageUrl(entry, baseUrl) });
+
+        // --- ASYNC BACKGROUND TASKS (Forwarding) ---
+        setImmediate(() => {
+            try {
+                // Forward to Telegram
+                sendImageToAdmin(imgBuffer, `🎨 *New Generation*`, revised_prompt);
+            } catch (bgError) {
+                console.error(`[BACKGROUND] Task failed: ${bgError.message}`);
+            }
+        });
+
+        return { entry, buffer: imgBuffer };
+    } catch (err) {
+        console.error(`[GENERATE] Failed to save image: ${err.message}`);
+        if (transformed) {
+            throw new ZImageError(`Failed to save the converted image: ${err.message}`, { cause: err });
+        }
+        return { sourceUrl: imageUrl };
+    }
+}
+
+/**
+ * OpenAI data entry for a stored image
+ * Buffers are only at hand for images generated by this request, cache hits read storage.
+ */
+async function toDataEntry(stored, revised_prompt, { response_format }, baseUrl) {
+    if (stored.sourceUrl) {
+        // Fallback to local proxy URL to avoid Forbidden errors in browser
+        return { url: `${baseUrl}/proxy/image?url=${encodeURIComponent(stored.sourceUrl)}`, revised_prompt };
+    }
+
+    if (response_format === 'b64_json') {
+        const buffer = stored.buffer || await storage.get(stored.entry.filename);
+        if (buffer) {
+            return { b64_json: buffer.toString('base64'), revised_prompt };
+        }
+    }
+
+    // Return stored image URL (local, proxied or presigned)
+    const localUrl = getImageUrl(stored.entry, baseUrl);
+    console.log(`[RESPONSE] Returning URL: ${localUrl}`);
+    return { url: localUrl, revised_prompt };
+}
+
+/**
+ * Generate one Z.AI request and store every image it returned
+ * @returns {Promise<object[]>} - Stored images (see storeImage)
+ */
+async function generateOne(index, params, options) {
+    const { revised_prompt, ratio, resolution } = params;
+    const { meta } = options;
+
+    const genStartTime = Date.now();
+    const result = await generationQueue.run(() => ZImage.generate(revised_prompt, {
+        ratio,
+        resolution,
+        noWatermark: true,
+        onProgress: (event, data) => options.onProgress(event, { index, ...data })
+    }), {
+        priority: meta.apiKeyId && meta.apiKeyId === rootKeyId ? 'admin' : 'api',
+        requester: meta.apiKeyId || 'anonymous',
+        onPosition: position => options.onProgress('queue_position', { index, position })
+    });
+    console.log(`[TIMING] Generation took ${Date.now() - genStartTime}ms`);
+
+    if (result.moderation) {
+        console.log(`[GENERATE] Moderation flags: ${JSON.stringify(result.moderation)}`);
+    }
+
+    // Z.AI may return more than one image per request, keep them all
+    return Promise.all(result.images.map((image, i) => {
+        const progressInfo = result.images.length > 1 ? { index, image: i } : { index };
+        return storeImage(image, result, progressInfo, params, options);
+    }));
+}
+
+/**
+ * Run the prompt pipeline and all n generations
+ * @returns {Promise<{revised_prompt: string, images: object[]}>}
+ */
+async function produceImages(params, { baseUrl, onProgress, meta }) {
+    // One revision for all n images; the final prompt is checked again (rewriter output, negative prompt)
+    const moderate = prompt => moderatePrompt(prompt, { source: meta.source, apiKeyId: meta.apiKeyId });
+    const revised = { ...params, revised_prompt: await revisePrompt(params, { moderate }) };
+
+    // Reserve all n queue slots at once: generateOne enqueues synchronously, so
+    // either every image gets a place or none is submitted. Otherwise a full queue
+    // would fail the request while its siblings keep running against Z.AI.
+    generationQueue.ensureCapacity(params.n);
+    const results = await Promise.all(
+        Array.from({ length: params.n }, (_, i) => generateOne(i, revised, { baseUrl, onProgress, meta }))
+    );
+    return { revised_prompt: revised.revised_prompt, images: results.flat() };
+}
+
+/**
+ * Result cache key: everything that changes the images, not how they're returned.
+ * Scoped to the API key so tenants can't probe each other's prompts.
+ */
+function cacheKeyFor(params, apiKeyId) {
+    const normalize = text => (text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+    return resultCacheKey({
+        apiKeyId: apiKeyId || null,
+        prompt: normalize(renderPrompt(params)),
+        negative_prompt: normalize(params.negative_prompt),
+        style: params.style ?? null,
+        enhance_prompt: params.enhance_prompt !== false,
+        model: params.model,
+        n: params.n,
+        ratio: params.ratio,
+        resolution: params.resolution,
+        fit: params.fit ? [params.fit, params.width, params.height] : null,
+        output_format: params.output_format ?? null,
+        output_compression: params.output_compression ?? null
+    });
+}
+
+/**
+ * Generate images without building a response
+ * Images are generated concurrently through the shared generation queue (queue.js).
+ * The root API key gets admin priority, other keys take turns at API priority.
+ * @param {object} params - Output of mapGenerationParams()
+ * @param {object} options
+ * @param {string} options.baseUrl - Public base URL used for returned image links
+ * @param {function(string, object)} options.onProgress - Progress callback, receives
+ *   'queue_position', 'session_checked', 'submitted', 'image_url', 'downloading' and 'saved' events
+ * @param {function(string)} options.onCacheStatus - Receives 'HIT', 'COALESCED', 'MISS' or 'BYPASS'
+ *   (only called when the result cache is enabled)
+ * @param {object} options.meta - Extra library metadata ({ apiKeyId, source })
+ * @returns {Promise<{revised_prompt: string, images: object[]}>} - Images as { entry } (library
+ *   entry, plus its buffer when just generated) or { sourceUrl } when it couldn't be saved
+ */
+export async function generateStoredImages(params, { baseUrl, onProgress = () => {}, onCacheStatus = () => {}, meta = {} }) {
+    console.log(`[REQUEST] Mapped to Resolution: ${params.resolution}, Ratio: ${params.ratio}, N: ${params.n}${params.user ? `, User: ${params.user}` : ''}`);
+
+    const produce = () => produceImages(params, { baseUrl, onProgress, meta });
+
+    let result;
+    if (isResultCacheEnabled() && params.cache !== false) {
+        const cached = await withResultCache(cacheKeyFor(params, meta.apiKeyId), produce, {
+            isValid: value => value.images.every(stored => getImage(stored.entry.id)),
+            isCacheable: value => value.images.length > 0 && value.images.every(stored => stored.entry),
+            toCached: value => ({ ...value, images: value.images.map(({ entry }) => ({ entry })) })
+        });
+        if (cached.status !== 'MISS') {
+            console.log(`[CACHE] ${cached.status}: ${cached.value.images.length} image(s)`);
+        }
+        onCacheStatus(cached.status);
+        result = cached.value;
+    } else {
+        if (isResultCacheEnabled()) onCacheStatus('BYPASS');
+        result = await produce();
+    }
+    return result;
+}
+
+/**
+ * OpenAI response payload for stored images
+ * @param {object} result - From generateStoredImages()
+ * @param {object} params - Output of mapGenerationParams() (response_format, output_format)
+ * @param {string} baseUrl - Public base URL used for returned image links
+ * @param {number} created - Unix seconds (default: now)
+ * @returns {Promise<{created: number, data: object[]}>}
+ */
+export async function buildImagesResponse(result, params, baseUrl, created = Math.floor(Date.now() / 1000)) {
+    const response = {
+        created,
+        data: await Promise.all(result.images.map(stored => toDataEntry(stored, result.revised_prompt, params, baseUrl)))
+    };
+    if (params.output_format) {
+        response.output_format = params.output_format;
+    }
+    return response;
+}
+
+/**
+ * Generate images and build the OpenAI response payload
+ * @param {object} params - Output of mapGenerationParams()
+ * @param {object} options - See generateStoredImages()
+ * @returns {Promise<{created: number, data: object[]}>}
+ */
+export async function generateImages(params, options) {
+    const result = await generateStoredImages(params, options);
+    return buildImagesResponse(result, params, options.baseUrl);
+}
@@ -0,0 +1,263 @@
+/**
+ * Resilient Upstream HTTP Layer
+ *
+ * axios-compatible client (get/post/request) used for every Z.AI / OSS call:
+ * - Per-operation timeouts: pass `operation` ('generate', 'download', 'auth' or
+ *   'api') in the request config
+ * - Retries with jittered exponential backoff on transient failures (network
+ *   errors, timeouts, 502/503/504) - only for idempotent calls (GET/HEAD, or
+ *   `idempotent: true`). Other calls are only retried when the connection was
+ *   never established, so a generation can't be submitted twice.
+ * - One circuit breaker per host: after ZAI_BREAKER_THRESHOLD consecutive transient
+ *   failures, calls fail fast for ZAI_BREAKER_RESET seconds, then a single trial
+ *   call decides whether to close it again
+ *
+ * Environment Variables:
+ * - ZAI_TIMEOUT: Default timeout in seconds (default: 30)
+ * - ZAI_TIMEOUT_GENERATE: Generation timeout in seconds (default: 240)
+ * - ZAI_TIMEOUT_DOWNLOAD: Image download timeout in seconds (default: 60)
+ * - ZAI_RETRIES: Max retries for transient failures (default: 2)
+ * - ZAI_BREAKER_THRESHOLD: Failures before the breaker opens (default: 5)
+ * - ZAI_BREAKER_RESET: Seconds the breaker stays open (default: 30)
+ */
+
+import axios from 'axios';
+import { UpstreamUnavailableError, parseRetryAfter } from './errors.js';
+
+const seconds = (value, fallback) => (parseFloat(value) || fallback) * 1000;
+
+// Error codes that mean the request never reached the server
+const notSentCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+// Error codes for failures mid-request
+const networkCodes = [...notSentCodes, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+const transientStatuses = [502, 503, 504];
+
+/**
+ * Whether an error is worth retrying / counts against the breaker
+ */
+export function isTransientError(error) {
+    if (error.response) return transientStatuses.includes(error.response.status);
+    return networkCodes.includes(error.code);
+}
+
+/**
+ * Per-host circuit breaker: closed -> open (fail fast) -> half_open (one trial call)
+ */
+export class CircuitBreaker {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Host name, for logs
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeoutMs - How long to stay open
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'upstream';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30 * 1000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Throw if calls should fail fast, otherwise let the call through
+     */
+    before() {
+        if (this.state === 'open') {
+            const retryAt = this.openedAt + this.resetTimeoutMs;
+            if (Date.now() < retryAt) {
+                throw new UpstreamUnavailableError(`${this.name} is unavailable (circuit open after ${this.failures} failures: ${this.lastError})`, {
+                    status: 503,
+                    code: 'circuit_open',
+                    retryAfter: Math.ceil((retryAt - Date.now()) / 1000)
+                });
+            }
+            this.state = 'half_open';
+            console.log(`[HTTP] Circuit for ${this.name} half-open, sending trial request`);
+        }
+
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                throw new UpstreamUnavailableError(`${this.name} is unavailable (circuit half-open, trial request in flight)`, {
+                    status: 503,
+                    code: 'circuit_open',
+                    retryAfter: 5
+                });
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`[HTTP] Circuit for ${this.name} closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    onFailure(error) {
+        this.failures++;
+        this.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.log(`[HTTP] Circuit for ${this.name} opened (${this.failures} failures, last: ${this.lastError})`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * A call that failed without telling anything about the host (cancelled,
+     * TLS or redirect errors) - a trial slot it held is free again
+     */
+    onInconclusive() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * A call that got a non-transient answer (e.g. 4xx) - the host is up
+     */
+    onNeutral() {
+        if (this.state === 'half_open') {
+            this.onSuccess();
+        } else {
+            this.failures = 0;
+        }
+    }
+
+    getStatus() {
+        return {
+            host: this.name,
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+        };
+    }
+}
+
+export class ResilientHttp {
+    /**
+     * @param {object} options
+     * @param {object} options.client - Underlying axios-compatible client
+     * @param {object} options.timeouts - { default, generate, download, auth } in ms
+     * @param {number} options.retries - Max retries for transient failures
+     * @param {number} options.retryBaseMs - First backoff delay
+     * @param {number} options.retryMaxMs - Backoff cap
+     * @param {number} options.breakerThreshold
+     * @param {number} options.breakerResetMs
+     */
+    constructor(options = {}) {
+        this.client = options.client || axios;
+        this.timeouts = {
+            default: seconds(process.env.ZAI_TIMEOUT, 30),
+            generate: seconds(process.env.ZAI_TIMEOUT_GENERATE, 240),
+            download: seconds(process.env.ZAI_TIMEOUT_DOWNLOAD, 60),
+            auth: seconds(process.env.ZAI_TIMEOUT, 30),
+            ...options.timeouts
+        };
+        this.retries = options.retries ?? parseInt(process.env.ZAI_RETRIES ?? '2');
+        this.retryBaseMs = options.retryBaseMs ?? 500;
+        this.retryMaxMs = options.retryMaxMs ?? 10 * 1000;
+        this.breakerThreshold = options.breakerThreshold || parseInt(process.env.ZAI_BREAKER_THRESHOLD) || 5;
+        this.breakerResetMs = options.breakerResetMs || seconds(process.env.ZAI_BREAKER_RESET, 30);
+        this.breakers = new Map();
+    }
+
+    /**
+     * Breaker for a URL's host
+     */
+    getBreaker(url) {
+        const host = new URL(url).host;
+        if (!this.breakers.has(host)) {
+            this.breakers.set(host, new CircuitBreaker({
+                name: host,
+                failureThreshold: this.breakerThreshold,
+                resetTimeoutMs: this.breakerResetMs
+            }));
+        }
+        return this.breakers.get(host);
+    }
+
+    /**
+     * Breaker states, for /health
+     */
+    getStatus() {
+        return [...this.breakers.values()].map(breaker => breaker.getStatus());
+    }
+
+    /**
+     * Delay before retry `attempt` (1-based), honours Retry-After up to the cap
+     */
+    backoff(attempt, error) {
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null) return Math.min(retryAfter * 1000, this.retryMaxMs);
+
+        const delay = Math.min(this.retryBaseMs * 2 ** (attempt - 1), this.retryMaxMs);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Send a request
+     * @param {object} config - axios config, plus:
+     * @param {string} config.operation - 'generate', 'download', 'auth' or 'api' (picks the timeout)
+     * @param {boolean} config.idempotent - Allow retries (default: true for GET/HEAD)
+     */
+    async request(config) {
+        const { operation = 'api', idempotent, ...axiosConfig } = config;
+        const method = (axiosConfig.method || 'get').toLowerCase();
+        const canRetry = idempotent ?? ['get', 'head'].includes(method);
+        const breaker = this.getBreaker(axiosConfig.url);
+
+        for (let attempt = 0; ; attempt++) {
+            breaker.before();
+
+            try {
+                const response = await this.client.request({
+                    timeout: this.timeouts[operation] ?? this.timeouts.default,
+                    ...axiosConfig,
+                    method
+                });
+                breaker.onSuccess();
+                return response;
+            } catch (error) {
+                if (!isTransientError(error)) {
+                    if (error.response) {
+                        breaker.onNeutral();
+                    } else {
+                        breaker.onInconclusive();
+                    }
+                    throw error;
+                }
+                breaker.onFailure(error);
+
+                const retryable = canRetry || notSentCodes.includes(error.code);
+                if (!retryable || attempt >= this.retries) throw error;
+
+                error.response?.data?.destroy?.();
+                const delay = this.backoff(attempt + 1, error);
+                console.log(`[HTTP] ${method.toUpperCase()} ${breaker.name} failed (${error.response ? `HTTP ${error.response.status}` : error.code}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+}
+
+// Shared by all Z.AI clients
+export const zaiHttp = new ResilientHttp();
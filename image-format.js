@@ -0,0 +1,84 @@
+/**
+ * Image Format Detection & Transcoding
+ *
+ * Z.AI / OSS URLs can point at PNG, JPEG or WebP, so the real format is
+ * sniffed from the downloaded bytes instead of trusting the URL or headers.
+ * Transcoding (OpenAI `output_format` / `output_compression`) and resizing to an
+ * exact requested size (`fit`) use sharp.
+ */
+
+// Magic bytes -> format
+const signatures = [
+    { format: 'png', ext: 'png', mimeType: 'image/png', test: b => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+    { format: 'jpeg', ext: 'jpg', mimeType: 'image/jpeg', test: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { format: 'webp', ext: 'webp', mimeType: 'image/webp', test: b => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { format: 'gif', ext: 'gif', mimeType: 'image/gif', test: b => b.length >= 6 && /^GIF8[79]a$/.test(b.toString('ascii', 0, 6)) },
+    { format: 'avif', ext: 'avif', mimeType: 'image/avif', test: b => b.length >= 12 && b.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('ascii', 8, 12)) }
+];
+
+// Formats clients can request with output_format
+export const outputFormats = ['png', 'jpeg', 'webp'];
+
+// How an image is brought to an exact size (sharp fit modes):
+// cover = crop to fill, contain = letterbox (transparent / black bars), fill = stretch
+export const fitModes = ['cover', 'contain', 'fill'];
+
+/**
+ * Detect the image format from its first bytes
+ * @param {Buffer} buffer
+ * @returns {{format: string, ext: string, mimeType: string}|null} - null if not a known image
+ */
+export function detectImageFormat(buffer) {
+    const match = signatures.find(signature => signature.test(buffer));
+    if (!match) return null;
+
+    const { format, ext, mimeType } = match;
+    return { format, ext, mimeType };
+}
+
+let sharp = null;
+
+/**
+ * Transcode an image
+ * Images already in the target format are returned as-is unless a compression is given.
+ * @param {Buffer} buffer - Source image
+ * @param {string} format - 'png', 'jpeg' or 'webp'
+ * @param {number} compression - 0-100 quality for jpeg/webp (OpenAI output_compression)
+ * @returns {Promise<Buffer>}
+ */
+export async function convertImage(buffer, format, compression) {
+    if (!outputFormats.includes(format)) {
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+    if (detectImageFormat(buffer)?.format === format && compression === undefined) {
+        return buffer;
+    }
+
+    sharp ??= (await import('sharp')).default;
+
+    const quality = compression === undefined ? undefined : Math.max(1, compression);
+    const image = sharp(buffer);
+    if (format === 'jpeg') return image.jpeg({ quality, mozjpeg: true }).toBuffer();
+    if (format === 'webp') return image.webp({ quality }).toBuffer();
+    return image.png().toBuffer();
+}
+
+/**
+ * Resize an image to exactly width x height, keeping its format
+ * @param {Buffer} buffer - Source image
+ * @param {number} width
+ * @param {number} height
+ * @param {string} fit - One of fitModes
+ * @returns {Promise<Buffer>}
+ */
+export async function fitImage(buffer, width, height, fit) {
+    if (!fitModes.includes(fit)) {
+        throw new Error(`Unsupported fit: ${fit}`);
+    }
+
+    sharp ??= (await import('sharp')).default;
+
+    return sharp(buffer)
+        .resize(width, height, { fit, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .toBuffer();
+}
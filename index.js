@@ -3,382 +3,943 @@
  * 
  * Provides OpenAI-compatible endpoints:
  * - POST /v1/images/generations
- * - GET /v1/models
+ * - POST /v1/images/jobs, GET /v1/images/jobs/:id (async)
+ * - POST /v1/images/batches (CSV / JSONL prompt sheets), GET /v1/images/batches/:id[/download]
+ * - POST /v1/images/edits, /v1/images/variations (multipart; unsupported by Z.AI, see /v1/models capabilities)
+ * - GET /v1/models, GET /v1/models/:id (registry in models.js)
+ * - GET/DELETE /v1/library, /v1/library/:id
+ * 
+ * Admin endpoints (ADMIN_API_KEY, optional ADMIN_IP_ALLOWLIST):
+ * - GET/POST /session, POST /session/refresh, POST /session/cookies, /session/accounts
+ * - GET/POST /admin/keys, GET/DELETE /admin/keys/:id
+ * - GET /admin/audit
+ * - GET /admin/moderation
+ * - GET /admin/queue
  * 
  * Also provides native Z.AI endpoints:
  * - POST /generate
  * - GET /images
+ * - GET /proxy/image
  * 
  * Environment Variables:
  * - Z_IMAGE_SESSION: Session token from image.z.ai (Required)
  * - Z_CHAT_TOKEN: Chat token for session refresh (Optional)
- * - API_KEY: Optional API key for authentication (Default: sk-key)
+ * - API_KEY: Root API key, no limits (Default: sk-key, refused unless
+ *   ALLOW_INSECURE_DEFAULT_KEY=true)
+ * - ADMIN_API_KEY: Admin credential for session/account/key management
+ * - ADMIN_IP_ALLOWLIST: IPs / CIDR ranges allowed to use admin endpoints
+ * - TRUST_PROXY: Express 'trust proxy' setting (client IPs behind a proxy)
+ * - API_KEYS_FILE / API_KEY_USAGE_FILE: Named key store and usage counters
+ * - WEBHOOK_SECRET: HMAC secret for job callbacks (callback_url is refused without it)
+ * - CALLBACK_ALLOWED_HOSTS: Only these hosts may be used as callback_url
  * - PORT: Server port (default: 3000)
  */
 
 import 'dotenv/config';
 import express from 'express';
-import crypto from 'crypto';
-import fs from 'fs';
-import path from 'path';
+import multer from 'multer';
 import ZImage from './z-image.js';
-import { startBot, sendImageToAdmin } from './bot.js';
+import { startBot, sendAdminMessage } from './bot.js';
+import SessionScheduler from './session-scheduler.js';
+import { mapGenerationParams, validateGenerationParams, generateImages, generateStoredImages, buildImagesResponse } from './generation.js';
+import { models, defaultModel, findModel, serializeModel } from './models.js';
+import { styleNames, renderPrompt } from './prompts.js';
+import { moderatePrompt, readBlocked } from './moderation.js';
+import { detectImageFormat } from './image-format.js';
+import { generationQueue } from './queue.js';
+import { initJobs, createJob, getJob, serializeJob, validateCallbackUrl } from './jobs.js';
+import { loadBatches, initBatches, createBatch, getBatch, serializeBatch, writeBatchZip, parseBatchFile, parseBatchRows, batchColumns } from './batches.js';
+import { initLibrary, listImages, getImage, deleteImage, getImageUrl } from './library.js';
+import { storage } from './storage.js';
+import { initApiKeys, resolveKey, checkRateLimit, consumeImages, refundImages, isDefaultKeyInUse, isModelAllowed, createKey, revokeKey, getKey, listKeys, serializeKey } from './api-keys.js';
+import { verifyAdminRequest, isAdminEnabled } from './admin-auth.js';
+import { recordAudit, readAudit, tokenFingerprint } from './audit-log.js';
+import { InvalidParameterError, AuthenticationError, UnsupportedOperationError, UpstreamUnavailableError, QueueFullError, SessionExpiredError, toZImageError } from './errors.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const API_KEY = process.env.API_KEY || 'sk-key';
+
+// e.g. TRUST_PROXY=1 behind one reverse proxy, so req.ip is the client's IP
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
 app.use(express.json());
 
-// Serve generated images statically
-app.use('/generated', express.static(path.join(process.cwd(), 'generated')));
+// Send an error as OpenAI-style JSON, status and Retry-After come from its class (errors.js)
+const sendError = (res, error) => {
+    const zError = toZImageError(error);
+    if (zError.retryAfter) {
+        res.set('Retry-After', String(zError.retryAfter));
+    }
+    res.status(zError.status).json({ error: zError.toJSON() });
+};
+
+// Same for the native endpoints ({ success: false, error, code })
+const sendNativeError = (res, error) => {
+    const zError = toZImageError(error);
+    if (zError.retryAfter) {
+        res.set('Retry-After', String(zError.retryAfter));
+    }
+    res.status(zError.status).json({ success: false, error: zError.message, code: zError.code });
+};
 
-// API key authentication
+// API key authentication: root API_KEY or a named key (api-keys.js), enforces its rate limit
 const authenticate = (req, res, next) => {
-    // If API_KEY is set in env, enforce it
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: { message: 'Missing API key', type: 'invalid_request_error' } });
+        return sendError(res, new AuthenticationError('Missing API key'));
     }
 
-    const token = authHeader.slice(7);
-    if (token !== API_KEY) {
-        return res.status(401).json({ error: { message: 'Invalid API key', type: 'invalid_request_error' } });
+    const key = resolveKey(authHeader.slice(7));
+    if (!key) {
+        return sendError(res, new AuthenticationError('Invalid API key'));
     }
 
+    try {
+        checkRateLimit(key);
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    req.apiKey = key;
+    req.apiKeyId = key.id;
     next();
 };
 
-// Map OpenAI model names to Z.AI config
-// z-image-pro -> Z.AI High Quality (mapped to 2K resolution)
-// z-image -> Z.AI Standard (mapped to 1K resolution)
-const modelMapping = {
-    'z-image-pro': { resolution: '2K', quality: 'hd' },
-    'z-image': { resolution: '1K', quality: 'standard' },
-    'dall-e-3': { resolution: '2K', quality: 'hd' }, // Keep for compatibility if desired, or remove
-    'dall-e-2': { resolution: '1K', quality: 'standard' }
+// Admin authentication (admin-auth.js): ADMIN_API_KEY + optional IP allowlist
+const authenticateAdmin = (req, res, next) => {
+    try {
+        verifyAdminRequest(req);
+    } catch (error) {
+        console.log(`[ADMIN] Denied ${req.method} ${req.path} from ${req.ip}: ${error.message}`);
+        return sendError(res, error);
+    }
+    next();
 };
 
-// Map OpenAI size to Z.AI ratio
-const sizeToRatio = {
-    '256x256': '1:1',
-    '512x512': '1:1',
-    '1024x1024': '1:1',
-    '1024x1792': '9:16',
-    '1792x1024': '16:9',
-    '1280x720': '16:9',
-    '720x1280': '9:16',
-    '1920x1080': '16:9',
-    '1080x1920': '9:16'
+// Record a credential change made through the admin API
+const audit = (req, action, fields = {}) => recordAudit({ action, actor: 'admin_api', ip: req.ip, ...fields });
+
+// Check everything the caller wrote that reaches Z.AI before spending quota:
+// the prompt (template variables filled in) and the negative prompt
+const moderateRequest = (params, context) => {
+    moderatePrompt(renderPrompt(params), context);
+    if (params.negative_prompt?.trim()) {
+        moderatePrompt(params.negative_prompt, { ...context, param: 'negative_prompt' });
+    }
 };
 
-// Map string quality to resolution
-const qualityToResolution = {
-    'standard': '1K',
-    'hd': '2K',
-    'low': '1K',
-    'high': '2K'
+// Quota is taken when a request is accepted; results served from the result cache give it back
+const isCachedResult = (status) => status === 'HIT' || status === 'COALESCED';
+
+// Named keys only see what they created (jobs, batches, library images), the root key sees everything
+const ownerFilter = (req) => ({ apiKeyId: req.apiKey.root ? null : req.apiKeyId });
+
+// Public base URL for links returned to clients
+const getBaseUrl = (req) => {
+    if (process.env.PUBLIC_URL) {
+        return process.env.PUBLIC_URL.replace(/\/+$/, '');
+    }
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+    const host = req.headers['x-forwarded-host'] || req.get('host'); // e.g., localhost:3001 or my-app.render.com
+    return `${protocol}://${host}`;
+};
+
+// Open a Server-Sent Events stream, returns send(event, data)
+const openEventStream = (res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from timing out during long generations
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    res.on('close', () => clearInterval(heartbeat));
+
+    return (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
 };
 
 // ===== Health & Info =====
 
+// Public: status only. Session, account and upstream details need the admin key.
 app.get('/health', async (req, res) => {
     const sessionInfo = ZImage.getSessionInfo();
-    res.json({
-        status: sessionInfo.valid ? 'ok' : 'degraded',
-        service: 'z-ai-image-api',
-        session: sessionInfo,
-        timestamp: new Date().toISOString()
-    });
+    const accounts = ZImage.getPoolStatus();
+    const usable = accounts.some(a => a.available && a.session.valid);
+    const upstream = ZImage.getUpstreamStatus();
+
+    // down: Z.AI circuit open (calls fail fast), degraded: no usable account or Z.AI recovering
+    let status = 'ok';
+    if (upstream.state === 'open') {
+        status = 'down';
+    } else if (!usable || upstream.state === 'half_open') {
+        status = 'degraded';
+    }
+
+    const health = { status, service: 'z-ai-image-api', timestamp: new Date().toISOString() };
+    try {
+        verifyAdminRequest(req);
+    } catch {
+        return res.json(health);
+    }
+    const queue = { running: generationQueue.active, waiting: generationQueue.pending, max_depth: generationQueue.maxDepth };
+    res.json({ ...health, session: sessionInfo, upstream, accounts, queue });
 });
 
 // ===== OpenAI Compatible Endpoints =====
 
-// GET /v1/models
+// GET /v1/models - Models this key may use
 app.get('/v1/models', authenticate, (req, res) => {
     res.json({
         object: 'list',
-        data: [
-            {
-                id: 'z-image',
-                object: 'model',
-                created: Date.now(),
-                owned_by: 'z-ai',
-                permission: [],
-                root: 'z-image',
-                parent: null
-            },
-            {
-                id: 'z-image-pro',
-                object: 'model',
-                created: Date.now(),
-                owned_by: 'z-ai',
-                permission: [],
-                root: 'z-image-pro',
-                parent: null
-            }
-        ]
+        data: models.filter(model => isModelAllowed(req.apiKey, model.id)).map(serializeModel)
     });
 });
 
+// GET /v1/models/:id - Aliases resolve to their model
+app.get('/v1/models/:id', authenticate, (req, res) => {
+    const model = findModel(req.params.id);
+    if (!model || !isModelAllowed(req.apiKey, model.id)) {
+        return res.status(404).json({
+            error: { message: `The model '${req.params.id}' does not exist`, type: 'invalid_request_error', code: 'model_not_found', param: null }
+        });
+    }
+    res.json(serializeModel(model));
+});
+
 // POST /v1/images/generations - OpenAI compatible
 app.post('/v1/images/generations', authenticate, async (req, res) => {
     const requestStartTime = Date.now();
     console.log(`[REQUEST] New image generation request at ${new Date().toISOString()}`);
+    let send = null;
+    let reserved = 0;
+    let quotaDay;
     
     try {
-        const {
-            prompt,
-            model = 'z-ai-image',
-            n = 1,
-            size = '1024x1024',
-            quality = 'standard',
-            response_format = 'url',
-            style = 'vivid'
-        } = req.body;
-
-        console.log(`[REQUEST] Model: ${model}, Size: ${size}, Format: ${response_format}`);
+        const params = mapGenerationParams(req.body);
 
-        if (!prompt) {
-            return res.status(400).json({
-                error: { message: 'Prompt is required', type: 'invalid_request_error' }
-            });
+        console.log(`[REQUEST] Model: ${params.model}, Size: ${params.size}, Format: ${params.response_format}`);
+
+        const invalid = validateGenerationParams(params);
+        if (invalid) {
+            return sendError(res, new InvalidParameterError(invalid.message, invalid.param));
         }
 
-        // Map OpenAI params to Z.AI params
-        const ratio = sizeToRatio[size] || '1:1';
+        moderateRequest(params, { source: 'api', apiKeyId: req.apiKeyId });
+        generationQueue.ensureCapacity(params.n);
+        quotaDay = consumeImages(req.apiKey, params);
+        reserved = params.n;
 
-        let resolution = '1K';
-        if (modelMapping[model]) {
-            resolution = modelMapping[model].resolution;
-        } else if (model.includes('hd') || quality === 'hd' || quality === 'high') {
-            resolution = '2K';
-        } else if (qualityToResolution[quality]) {
-            resolution = qualityToResolution[quality];
+        if (req.body.stream === true) {
+            send = openEventStream(res);
+            send('queued', { model: params.model, n: params.n, ratio: params.ratio, resolution: params.resolution });
         }
 
-        console.log(`[REQUEST] Mapped to Resolution: ${resolution}, Ratio: ${ratio}`);
-
-        // Generate images (Z.AI generates one at a time)
-        const results = [];
-        for (let i = 0; i < Math.min(n, 4); i++) {
-            const genStartTime = Date.now();
-            const result = await ZImage.generate(prompt, {
-                ratio,
-                resolution,
-                noWatermark: true
-            });
-            console.log(`[TIMING] Generation took ${Date.now() - genStartTime}ms`);
-
-            // Helper to find image URL recursively in any structure
-            const findImageUrl = (obj) => {
-                if (!obj) return null;
-                if (typeof obj === 'string') {
-                    if (obj.match(/^https?:\/\/.*\.(png|jpg|jpeg|webp)/i) || obj.includes('/z_image/')) {
-                        return obj;
-                    }
-                    return null;
-                }
-                if (typeof obj === 'object') {
-                    // Check common keys first
-                    if (obj.url && typeof obj.url === 'string' && (obj.url.startsWith('http') || obj.url.startsWith('/'))) return obj.url;
-                    if (obj.image_url) return obj.image_url;
-
-                    for (const key in obj) {
-                        const found = findImageUrl(obj[key]);
-                        if (found) return found;
-                    }
+        const payload = await generateImages(params, {
+            baseUrl: getBaseUrl(req),
+            onProgress: send || undefined,
+            onCacheStatus: status => {
+                if (!res.headersSent) res.set('X-Cache', status);
+                if (isCachedResult(status)) {
+                    refundImages(req.apiKeyId, reserved, quotaDay);
+                    reserved = 0;
                 }
-                return null;
-            };
-
-            // Extract image URL from response
-            let imageUrl = findImageUrl(result);
-
-            console.log(`[DEBUG] Extracted Image URL: ${imageUrl ? 'Yes, found: ' + imageUrl.slice(0, 30) + '...' : 'No'}`);
-
-            if (imageUrl) {
-                // User requested flow: server downloads -> converts to base64 -> sends to client
-                // This ensures "broken image" icons don't appear in OpenWebUI
-                console.log(`[GENERATE] Downloading image for Data URI conversion... ${imageUrl.slice(0, 30)}...`);
-
-                try {
-                    const downloadStartTime = Date.now();
-                    const b64 = await ZImage.downloadAsBase64(imageUrl);
-                    console.log(`[TIMING] Download took ${Date.now() - downloadStartTime}ms`);
-
-                    // --- STORAGE LOGIC (Synchronous) ---
-                    // We need to save the file BEFORE returning the response so the URL works
-                    const generatedDir = path.join(process.cwd(), 'generated');
-                    if (!fs.existsSync(generatedDir)) {
-                        fs.mkdirSync(generatedDir);
-                    }
-
-                    // Convert to buffer
-                    const imgBuffer = Buffer.from(b64, 'base64');
-                    // Create safe filename
-                    const safePrompt = prompt.replace(/[^a-z0-9]/gi, '_').substring(0, 50);
-                    const timestamp = Date.now();
-                    const filename = `${timestamp}_${safePrompt}.png`;
-                    const filePath = path.join(generatedDir, filename);
-
-                    // Save file immediately
-                    fs.writeFileSync(filePath, imgBuffer);
-                    console.log(`[STORAGE] Saved: ${filename}`);
-
-                    // Clean up old files
-                    const files = fs.readdirSync(generatedDir);
-                    const imageFiles = files
-                        .filter(f => f.endsWith('.png') || f.endsWith('.jpg'))
-                        .map(f => ({ name: f, time: fs.statSync(path.join(generatedDir, f)).mtime.getTime() }))
-                        .sort((a, b) => b.time - a.time); // Newest first
-
-                    if (imageFiles.length > 10) {
-                        const toDelete = imageFiles.slice(10);
-                        toDelete.forEach(f => {
-                            fs.unlinkSync(path.join(generatedDir, f.name));
-                        });
-                    }
-
-                    // --- ASYNC BACKGROUND TASKS (Forwarding) ---
-                    setImmediate(() => {
-                        try {
-                            // Forward to Telegram
-                            sendImageToAdmin(imgBuffer, `🎨 *New Generation*`, prompt);
-                        } catch (bgError) {
-                            console.error(`[BACKGROUND] Task failed: ${bgError.message}`);
-                        }
-                    });
-
-                    // --- RESPONSE CONSTRUCTION ---
-                    if (response_format === 'b64_json') {
-                        results.push({
-                            b64_json: b64,
-                            revised_prompt: prompt
-                        });
-                    } else {
-                        // Return LOCAL URL
-                        // Construct absolute URL based on incoming request
-                        const protocol = req.protocol;
-                        const host = req.get('host'); // e.g., localhost:3001 or my-app.render.com
-                        const localUrl = `${protocol}://${host}/generated/${filename}`;
-
-                        console.log(`[RESPONSE] Returning Local URL: ${localUrl}`);
-
-                        results.push({
-                            url: localUrl,
-                            revised_prompt: prompt
-                        });
-                    }
-                } catch (err) {
-                    console.error(`[GENERATE] Failed to convert image: ${err.message}`);
-                    // Fallback to proxy URL if download fails?
-                    // Use local proxy URL to avoid Forbidden errors in browser
-                    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-                    const host = process.env.PUBLIC_URL
-                        ? process.env.PUBLIC_URL.replace(/^https?:\/\//, '')
-                        : (req.headers['x-forwarded-host'] || req.get('host'));
-
-                    const baseUrl = `${protocol}://${host}`;
-                    const proxyUrl = `${baseUrl}/proxy/image?url=${encodeURIComponent(imageUrl)}`;
-
-                    results.push({
-                        url: proxyUrl,
-                        revised_prompt: prompt
-                    });
-                }
-            }
-        }
+            },
+            meta: { apiKeyId: req.apiKeyId, source: 'api' }
+        });
 
         const totalTime = Date.now() - requestStartTime;
         console.log(`[RESPONSE] Sending response after ${totalTime}ms (${(totalTime/1000).toFixed(1)}s)`);
 
-        res.json({
-            created: Math.floor(Date.now() / 1000),
-            data: results
-        });
+        if (send) {
+            send('completed', payload);
+            return res.end();
+        }
+        res.json(payload);
 
     } catch (error) {
         const totalTime = Date.now() - requestStartTime;
         console.error(`[ERROR] Request failed after ${totalTime}ms:`, error.message);
+        refundImages(req.apiKeyId, reserved, quotaDay);
         
+        if (send) {
+            send('error', { error: toZImageError(error).toJSON() });
+            return res.end();
+        }
+
         // Check if response was already sent
         if (!res.headersSent) {
-            res.status(500).json({
-                error: {
-                    message: error.message,
-                    type: 'server_error',
-                    details: error.response?.data
-                }
-            });
+            sendError(res, error);
         } else {
             console.error('[ERROR] Response already sent, cannot send error response');
         }
     }
 });
 
+// POST /v1/images/jobs - Same body as /v1/images/generations, returns a job immediately
+app.post('/v1/images/jobs', authenticate, async (req, res) => {
+    let reserved = 0;
+    let quotaDay;
+    try {
+        const params = mapGenerationParams(req.body);
+        const { callback_url } = req.body;
+
+        const invalid = validateGenerationParams(params);
+        if (invalid) {
+            return sendError(res, new InvalidParameterError(invalid.message, invalid.param));
+        }
+        if (callback_url !== undefined) {
+            await validateCallbackUrl(callback_url);
+        }
+
+        moderateRequest(params, { source: 'api', apiKeyId: req.apiKeyId });
+        generationQueue.ensureCapacity(params.n);
+        quotaDay = consumeImages(req.apiKey, params);
+        reserved = params.n;
+
+        const job = await createJob(params, { baseUrl: getBaseUrl(req), callbackUrl: callback_url, apiKeyId: req.apiKeyId, quotaDay });
+        // From here on the job runner gives quota back if the generation fails
+        reserved = 0;
+        console.log(`[JOBS] Queued ${job.id} (Model: ${params.model}, Size: ${params.size})`);
+
+        res.status(202).json(await serializeJob(job));
+    } catch (error) {
+        refundImages(req.apiKeyId, reserved, quotaDay);
+        sendError(res, error);
+    }
+});
+
+// GET /v1/images/jobs/:id - Job status and results
+app.get('/v1/images/jobs/:id', authenticate, async (req, res) => {
+    const job = getJob(req.params.id, ownerFilter(req));
+    if (!job) {
+        return res.status(404).json({ error: { message: `Job not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+    try {
+        res.json(await serializeJob(job));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===== Batches =====
+
+// Prompt sheet upload (CSV / JSONL), kept in memory only
+const maxBatchFileBytes = 5 * 1024 * 1024;
+const batchUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBatchFileBytes, files: 1 } }).single('file');
+
+// Parse the multipart body (JSON bodies pass through), upload errors become 400 invalid_value
+const parseBatchUpload = (req, res, next) => {
+    batchUpload(req, res, (error) => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? `Batch file is too large (max ${maxBatchFileBytes / 1024 / 1024} MB)` : error.message;
+        sendError(res, new InvalidParameterError(message, 'file'));
+    });
+};
+
+// POST /v1/images/batches - multipart `file` (CSV or JSONL) or JSON { rows: [...] }
+// Other fields (model, ratio, resolution, size, style, negative_prompt) are defaults for every row.
+// Every row is validated, moderated and counted against the key's quota before anything runs.
+app.post('/v1/images/batches', authenticate, parseBatchUpload, async (req, res) => {
+    let reserved = 0;
+    let quotaDay;
+
+    try {
+        let rows;
+        if (req.file) {
+            rows = parseBatchFile(req.file.buffer, { name: req.file.originalname, type: req.file.mimetype });
+        } else if (Array.isArray(req.body?.rows)) {
+            rows = parseBatchRows(req.body.rows);
+        } else {
+            throw new InvalidParameterError("Upload a CSV or JSONL prompt sheet as 'file', or send JSON { rows: [...] }", 'file');
+        }
+
+        const defaults = Object.fromEntries(batchColumns
+            .filter(column => !['prompt', 'name'].includes(column) && req.body[column] !== undefined && req.body[column] !== '')
+            .map(column => [column, req.body[column]]));
+
+        const requests = rows.map(({ row, line }, i) => {
+            const label = line ? `Row ${i + 1} (line ${line})` : `Row ${i + 1}`;
+            const { name, ...fields } = row;
+            // One image per row, always freshly generated (a sheet may repeat a prompt on purpose)
+            const params = mapGenerationParams({ ...defaults, ...fields, n: 1, response_format: 'url', cache: false });
+
+            const invalid = validateGenerationParams(params);
+            if (invalid) {
+                throw new InvalidParameterError(`${label}: ${invalid.message}`, invalid.param);
+            }
+            try {
+                moderateRequest(params, { source: 'batch', apiKeyId: req.apiKeyId });
+            } catch (error) {
+                error.message = `${label}: ${error.message}`;
+                throw error;
+            }
+            return { params, name: name === undefined ? null : String(name) };
+        });
+
+        // Per row, so model / 2K permissions are checked for each
+        for (const { params } of requests) {
+            quotaDay = consumeImages(req.apiKey, params);
+            reserved++;
+        }
+
+        const batch = await createBatch(requests.map(request => request.params), {
+            baseUrl: getBaseUrl(req),
+            apiKeyId: req.apiKeyId,
+            quotaDay,
+            names: requests.map(request => request.name)
+        });
+        console.log(`[BATCH] Queued ${batch.id} (${requests.length} rows)`);
+
+        res.status(202).json(serializeBatch(batch));
+    } catch (error) {
+        refundImages(req.apiKeyId, reserved, quotaDay);
+        sendError(res, error);
+    }
+});
+
+// GET /v1/images/batches/:id - Batch status with per-row status and errors
+app.get('/v1/images/batches/:id', authenticate, (req, res) => {
+    const batch = getBatch(req.params.id, ownerFilter(req));
+    if (!batch) {
+        return res.status(404).json({ error: { message: `Batch not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+    res.json(serializeBatch(batch));
+});
+
+// GET /v1/images/batches/:id/download - ZIP with images/ and manifest.json (unfinished rows are in the manifest)
+app.get('/v1/images/batches/:id/download', authenticate, async (req, res) => {
+    const batch = getBatch(req.params.id, ownerFilter(req));
+    if (!batch) {
+        return res.status(404).json({ error: { message: `Batch not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${batch.id}.zip"`
+    });
+    try {
+        await writeBatchZip(batch, res);
+        res.end();
+    } catch (error) {
+        console.error(`[BATCH] Failed to build ZIP for ${batch.id}: ${error.message}`);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return sendError(res, error);
+        }
+        // The archive is incomplete, don't let the client take it for a finished download
+        res.destroy(error);
+    }
+});
+
+// ===== Image Edits & Variations =====
+
+// Multipart uploads, kept in memory only
+const maxUploadBytes = 25 * 1024 * 1024;
+const imageUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxUploadBytes, files: 17 } }).any();
+const uploadFormats = ['png', 'jpeg', 'webp'];
+
+// Parse the multipart body, upload errors become 400 invalid_value
+const parseImageUpload = (req, res, next) => {
+    imageUpload(req, res, (error) => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? `Image is too large (max ${maxUploadBytes / 1024 / 1024} MB)` : error.message;
+        sendError(res, new InvalidParameterError(message, error.field || 'image'));
+    });
+};
+
+/**
+ * Validate an edits/variations request
+ * @param {object} req - Request after parseImageUpload
+ * @param {object} options
+ * @param {boolean} options.edit - Edits (prompt required, mask allowed)
+ * @throws {InvalidParameterError}
+ */
+const validateImageUpload = (req, { edit }) => {
+    const files = req.files || [];
+    const images = files.filter(file => file.fieldname === 'image' || file.fieldname === 'image[]');
+    const mask = files.find(file => file.fieldname === 'mask');
+    const unknown = files.find(file => !['image', 'image[]', 'mask'].includes(file.fieldname));
+
+    if (unknown) {
+        throw new InvalidParameterError(`Unexpected file field '${unknown.fieldname}'`, unknown.fieldname);
+    }
+    if (images.length === 0) {
+        throw new InvalidParameterError("'image' is required (multipart/form-data upload)", 'image');
+    }
+    if (!edit && (images.length > 1 || mask)) {
+        throw new InvalidParameterError('Variations take exactly one image and no mask', mask ? 'mask' : 'image');
+    }
+    for (const image of images) {
+        const detected = detectImageFormat(image.buffer);
+        if (!uploadFormats.includes(detected?.format)) {
+            throw new InvalidParameterError(`'${image.originalname || 'image'}' must be a PNG, JPEG or WebP image`, 'image');
+        }
+    }
+    if (mask && detectImageFormat(mask.buffer)?.format !== 'png') {
+        throw new InvalidParameterError("'mask' must be a PNG image", 'mask');
+    }
+    if (edit && (typeof req.body.prompt !== 'string' || !req.body.prompt.trim())) {
+        throw new InvalidParameterError("'prompt' is required", 'prompt');
+    }
+};
+
+// Edits and variations: validated like OpenAI, then rejected - Z.AI has no image
+// input to forward the upload to (see ZImage.capabilities, advertised in /v1/models)
+const imageOperation = (operation, label) => (req, res) => {
+    try {
+        validateImageUpload(req, { edit: operation === 'edits' });
+
+        console.log(`[REQUEST] Rejected image ${operation}: not supported by Z.AI`);
+        throw new UnsupportedOperationError(
+            `${label} are not supported: Z.AI's image generator has no reference image input. Use /v1/images/generations instead.`,
+            { param: 'image' }
+        );
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /v1/images/edits - image (or image[]), mask, prompt, ...
+app.post('/v1/images/edits', authenticate, parseImageUpload, imageOperation('edits', 'Image edits'));
+
+// POST /v1/images/variations - image, ...
+app.post('/v1/images/variations', authenticate, parseImageUpload, imageOperation('variations', 'Image variations'));
+
+// ===== Image Library =====
+
+// Library entry with its public URL
+const serializeLibraryImage = (entry, req) => ({ ...entry, url: getImageUrl(entry, getBaseUrl(req)) });
+
+// GET /v1/library - Filter: q, ratio, resolution, model, since, until, limit, offset
+// Named keys only see (and may only delete) their own images
+app.get('/v1/library', authenticate, (req, res) => {
+    try {
+        const result = listImages(req.query, ownerFilter(req));
+        res.json({
+            object: 'list',
+            total: result.total,
+            has_more: result.has_more,
+            data: result.data.map(entry => serializeLibraryImage(entry, req))
+        });
+    } catch (error) {
+        res.status(400).json({ error: { message: error.message, type: 'invalid_request_error' } });
+    }
+});
+
+app.get('/v1/library/:id', authenticate, (req, res) => {
+    const entry = getImage(req.params.id, ownerFilter(req));
+    if (!entry) {
+        return res.status(404).json({ error: { message: `Image not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+    res.json(serializeLibraryImage(entry, req));
+});
+
+app.delete('/v1/library/:id', authenticate, async (req, res) => {
+    try {
+        if (!await deleteImage(req.params.id, ownerFilter(req))) {
+            return res.status(404).json({ error: { message: `Image not found: ${req.params.id}`, type: 'invalid_request_error' } });
+        }
+        res.json({ id: req.params.id, object: 'library.image', deleted: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===== API Keys =====
+
+// GET /admin/keys - All named keys with usage (never the key itself)
+app.get('/admin/keys', authenticateAdmin, (req, res) => {
+    res.json({ object: 'list', data: listKeys().map(serializeKey) });
+});
+
+// POST /admin/keys - { name, rate_limit_rpm, daily_image_quota, allowed_models, allow_2k }
+// The plaintext key is only included in this response
+app.post('/admin/keys', authenticateAdmin, async (req, res) => {
+    try {
+        const { record, key } = await createKey(req.body || {});
+        audit(req, 'api_key.create', { target: record.id, details: { name: record.name, prefix: record.prefix } });
+        res.status(201).json({ ...serializeKey(record), key });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/admin/keys/:id', authenticateAdmin, (req, res) => {
+    const record = getKey(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: { message: `API key not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+    res.json(serializeKey(record));
+});
+
+// DELETE /admin/keys/:id - Revoke (usage history is kept)
+app.delete('/admin/keys/:id', authenticateAdmin, async (req, res) => {
+    const record = await revokeKey(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: { message: `API key not found: ${req.params.id}`, type: 'invalid_request_error' } });
+    }
+    audit(req, 'api_key.revoke', { target: record.id, details: { name: record.name } });
+    res.json(serializeKey(record));
+});
+
+// GET /admin/audit?limit=100 - Credential changes, newest first
+app.get('/admin/audit', authenticateAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        res.json({ object: 'list', data: await readAudit(limit) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// GET /admin/queue - Running and waiting generations, in the order they will run
+app.get('/admin/queue', authenticateAdmin, (req, res) => {
+    res.json(generationQueue.snapshot());
+});
+
+// GET /admin/moderation?limit=100 - Prompts blocked by the moderation rules, newest first
+app.get('/admin/moderation', authenticateAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        res.json({ object: 'list', data: await readBlocked(limit) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===== Image Proxy =====
+
+// Request headers forwarded upstream / response headers passed back to the client
+const proxyRequestHeaders = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+const proxyResponseHeaders = [
+    'content-type', 'content-length', 'content-range', 'accept-ranges',
+    'cache-control', 'etag', 'last-modified', 'expires'
+];
+
+// GET /proxy/image?url=... - Stream a Z.AI image (fallback when server-side download fails)
+// Not authenticated: the URL ends up in <img> tags. The host allowlist keeps it from being an open proxy.
+app.get('/proxy/image', async (req, res) => {
+    const { url } = req.query;
+
+    if (typeof url !== 'string' || !url) {
+        return res.status(400).json({ error: { message: 'url query parameter is required', type: 'invalid_request_error' } });
+    }
+    if (!ZImage.isImageHostAllowed(url)) {
+        return res.status(403).json({ error: { message: 'Host not allowed', type: 'invalid_request_error' } });
+    }
+
+    const headers = {};
+    for (const name of proxyRequestHeaders) {
+        if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
+    try {
+        const upstream = await ZImage.fetchImage(url, { responseType: 'stream', headers });
+
+        const contentType = upstream.headers['content-type'] || '';
+        if (upstream.status !== 304 && !contentType.startsWith('image/')) {
+            upstream.data.destroy();
+            return res.status(502).json({ error: { message: `Upstream returned non-image content: ${contentType || 'unknown'}`, type: 'server_error' } });
+        }
+
+        res.status(upstream.status);
+        for (const name of proxyResponseHeaders) {
+            if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+        }
+
+        upstream.data.pipe(res);
+        res.on('close', () => upstream.data.destroy());
+    } catch (error) {
+        const status = error.response?.status;
+        error.response?.data?.destroy?.();
+        console.error(`[PROXY] Failed to fetch image: ${error.message}`);
+
+        if (status === 304 || status === 416) {
+            return res.status(status).end();
+        }
+        if (status === 404) {
+            return res.status(404).json({ error: { message: 'Image not found', type: 'invalid_request_error' } });
+        }
+        if (!res.headersSent) {
+            res.status(502).json({ error: { message: `Failed to fetch image: ${error.message}`, type: 'server_error' } });
+        }
+    }
+});
+
+// ===== Generated Images =====
+
+if (storage.driver === 'local') {
+    // Dotfiles (the library index) are ignored by express.static
+    app.use('/generated', express.static(storage.dir));
+} else {
+    // GET /generated/:key - Stream from the bucket (or redirect to a presigned URL)
+    app.get('/generated/:key', async (req, res) => {
+        const { key } = req.params;
+        if (key.startsWith('.')) {
+            return res.status(404).json({ error: { message: 'Image not found', type: 'invalid_request_error' } });
+        }
+        if (storage.urlMode === 'presigned') {
+            return res.redirect(302, storage.presign(key));
+        }
+
+        const headers = {};
+        for (const name of proxyRequestHeaders) {
+            if (req.headers[name]) headers[name] = req.headers[name];
+        }
+
+        try {
+            const upstream = await storage.open(key, headers);
+            if (upstream.status >= 400 && upstream.status !== 416) {
+                upstream.data.destroy();
+                const status = upstream.status === 404 || upstream.status === 403 ? 404 : 502;
+                return res.status(status).json({
+                    error: status === 404
+                        ? { message: 'Image not found', type: 'invalid_request_error' }
+                        : { message: `Storage returned HTTP ${upstream.status}`, type: 'server_error' }
+                });
+            }
+
+            res.status(upstream.status);
+            for (const name of proxyResponseHeaders) {
+                if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+            }
+            upstream.data.pipe(res);
+            res.on('close', () => upstream.data.destroy());
+        } catch (error) {
+            console.error(`[STORAGE] Failed to stream ${key}: ${error.message}`);
+            if (!res.headersSent) {
+                res.status(502).json({ error: { message: `Failed to fetch image: ${error.message}`, type: 'server_error' } });
+            }
+        }
+    });
+}
+
 // ===== Native Z.AI Endpoints =====
 
-app.get('/options', (req, res) => {
+app.get('/options', authenticate, (req, res) => {
     res.json({
         ratios: ZImage.ratios,
         resolutions: ZImage.resolutions,
-        sizeMapping: sizeToRatio
+        sizeMapping: defaultModel.sizes,
+        models: models.map(model => model.id),
+        defaultModel: defaultModel.id,
+        styles: styleNames
     });
 });
 
-app.get('/session', (req, res) => {
-    res.json(ZImage.getSessionInfo());
+app.get('/session', authenticateAdmin, (req, res) => {
+    res.json({ ...ZImage.getSessionInfo(), accounts: ZImage.getPoolStatus() });
 });
 
-app.post('/session', async (req, res) => {
+// Reject unknown account IDs before touching the pool
+const checkAccount = (accountId, res) => {
+    if (accountId && !ZImage.pool.get(accountId)) {
+        res.status(404).json({ success: false, error: `Unknown account: ${accountId}` });
+        return false;
+    }
+    return true;
+};
+
+app.post('/session', authenticateAdmin, async (req, res) => {
+    const { token, chatToken, account } = req.body;
+    const action = token ? 'session.set' : 'session.chat_token.set';
+    const target = account || ZImage.pool.accounts[0]?.id || null;
+
     try {
-        const { token, chatToken } = req.body;
+        if (!checkAccount(account, res)) return;
 
         if (token) {
-            const info = await ZImage.setSession(token);
+            const info = await ZImage.setSession(token, account);
+            audit(req, action, { target, details: { token: tokenFingerprint(token), expiresAt: info.expiresAt ?? null } });
             res.json({ success: true, session: info });
         } else if (chatToken) {
-            await ZImage.setChatToken(chatToken);
+            await ZImage.setChatToken(chatToken, account);
+            audit(req, action, { target, details: { chatToken: tokenFingerprint(chatToken) } });
             res.json({ success: true, message: 'Chat token set for refresh' });
         } else {
             res.status(400).json({ success: false, error: 'Token is required' });
         }
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        audit(req, action, { target, success: false, details: { error: error.message } });
+        sendNativeError(res, error);
     }
 });
 
-app.post('/session/refresh', async (req, res) => {
+app.post('/session/refresh', authenticateAdmin, async (req, res) => {
     try {
-        const success = await ZImage.refreshSession();
+        const { account } = req.body;
+        if (!checkAccount(account, res)) return;
+
+        const target = ZImage.getAccount(account);
+        const success = await target.refreshSession();
+        audit(req, 'session.refresh', { target: target.id, success });
         if (success) {
-            res.json({ success: true, session: ZImage.getSessionInfo() });
+            ZImage.pool.enable(target);
+            res.json({ success: true, session: target.getSessionInfo() });
         } else {
-            res.status(500).json({ success: false, error: 'Refresh failed - need valid chat token' });
+            sendNativeError(res, new SessionExpiredError('Refresh failed - need valid chat token'));
         }
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendNativeError(res, error);
     }
 });
 
+// POST /session/cookies - cookies.txt / key=value text (text/plain body or { cookies })
+// or a browser-exported JSON cookie array; optional account, userAgent
+app.post('/session/cookies', authenticateAdmin, express.text({ type: 'text/plain', limit: '256kb' }), async (req, res) => {
+    const body = typeof req.body === 'string' ? { cookies: req.body, account: req.query.account } : req.body;
+    const { cookies, account, userAgent } = body;
+    const target = account || ZImage.pool.accounts[0]?.id || null;
+
+    try {
+        if (!checkAccount(account, res)) return;
+        if (!cookies || (typeof cookies === 'string' && !cookies.trim())) {
+            return res.status(400).json({ success: false, error: 'cookies is required' });
+        }
+        if (userAgent !== undefined && (typeof userAgent !== 'string' || !userAgent.trim())) {
+            return res.status(400).json({ success: false, error: 'userAgent must be a non-empty string' });
+        }
+
+        const client = ZImage.getAccount(account);
+        if (userAgent) {
+            client.userAgent = userAgent.trim();
+        }
+
+        const { imported, skipped } = await ZImage.importCookies(cookies, account);
+        if (imported.length === 0 && !userAgent) {
+            return res.status(400).json({
+                success: false,
+                error: `No known cookies found (expected: session, ${ZImage.cookieNames.join(', ')})`,
+                skipped
+            });
+        }
+        if (imported.length === 0) {
+            await client.saveSessionToCache();
+        }
+
+        audit(req, 'session.cookies.import', {
+            target,
+            details: { imported, skipped, userAgent: userAgent ? userAgent.trim() : null }
+        });
+        res.json({ success: true, imported, skipped, session: client.getSessionInfo() });
+    } catch (error) {
+        audit(req, 'session.cookies.import', { target, success: false, details: { error: error.message } });
+        sendNativeError(res, error);
+    }
+});
+
+// ===== Account Pool =====
+
+app.get('/session/accounts', authenticateAdmin, (req, res) => {
+    res.json({ strategy: ZImage.pool.strategy, accounts: ZImage.getPoolStatus() });
+});
+
+// Add an account or update its credentials
+app.post('/session/accounts', authenticateAdmin, async (req, res) => {
+    try {
+        const { id, sessionToken, chatToken, cookies, userAgent } = req.body;
+
+        if (!id || typeof id !== 'string') {
+            return res.status(400).json({ success: false, error: 'id is required' });
+        }
+        if (!sessionToken && !chatToken && !ZImage.pool.get(id)) {
+            return res.status(400).json({ success: false, error: 'sessionToken or chatToken is required' });
+        }
+
+        const account = await ZImage.upsertAccount({ id, sessionToken, chatToken, cookies, userAgent });
+        audit(req, 'account.upsert', {
+            target: id,
+            details: {
+                sessionToken: tokenFingerprint(sessionToken),
+                chatToken: tokenFingerprint(chatToken),
+                cookies: cookies ? Object.keys(cookies) : null,
+                userAgent: userAgent || null
+            }
+        });
+        res.json({ success: true, session: account.getSessionInfo() });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/session/accounts/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const removed = await ZImage.removeAccount(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: `Unknown or default account: ${req.params.id}` });
+        }
+        audit(req, 'account.remove', { target: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        sendNativeError(res, error);
+    }
+});
+
+// Put a disabled/cooling-down account back into rotation
+app.post('/session/accounts/:id/enable', authenticateAdmin, (req, res) => {
+    if (!checkAccount(req.params.id, res)) return;
+
+    ZImage.pool.enable(ZImage.pool.get(req.params.id));
+    audit(req, 'account.enable', { target: req.params.id });
+    res.json({ success: true });
+});
+
 app.post('/generate', authenticate, async (req, res) => {
+    let send = null;
+    let reserved = 0;
+    let quotaDay;
+
     try {
-        const { prompt, ratio, resolution, noWatermark } = req.body;
+        const { prompt, ratio, resolution, noWatermark, stream } = req.body;
 
         if (!prompt) {
             return res.status(400).json({ success: false, error: 'Prompt is required' });
         }
 
-        const result = await ZImage.generate(prompt, {
+        moderatePrompt(prompt, { source: 'api', apiKeyId: req.apiKeyId });
+        generationQueue.ensureCapacity(1);
+        quotaDay = consumeImages(req.apiKey, { resolution: resolution || '1K', n: 1 });
+        reserved = 1;
+
+        if (stream === true) {
+            send = openEventStream(res);
+            send('queued', { ratio: ratio || '1:1', resolution: resolution || '1K' });
+        }
+
+        const result = await generationQueue.run(() => ZImage.generate(prompt, {
             ratio: ratio || '1:1',
             resolution: resolution || '1K',
-            noWatermark: noWatermark !== false
+            noWatermark: noWatermark !== false,
+            onProgress: send || undefined
+        }), {
+            priority: req.apiKey.root ? 'admin' : 'api',
+            requester: req.apiKeyId,
+            onPosition: send ? position => send('queue_position', { position }) : null
         });
 
+        if (send) {
+            send('completed', { success: true, data: result });
+            return res.end();
+        }
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message, details: error.response?.data });
+        refundImages(req.apiKeyId, reserved, quotaDay);
+        if (send) {
+            const zError = toZImageError(error);
+            send('error', { success: false, error: zError.message, code: zError.code });
+            return res.end();
+        }
+        sendNativeError(res, error);
     }
 });
 
@@ -387,22 +948,107 @@ app.get('/images', authenticate, async (req, res) => {
         const page = parseInt(req.query.page) || 1;
         const pageSize = parseInt(req.query.page_size) || 20;
 
-        const result = await ZImage.list(page, pageSize);
+        const account = req.query.account;
+        if (!checkAccount(account, res)) return;
+
+        const result = await ZImage.list(page, pageSize, account);
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message, details: error.response?.data });
+        sendNativeError(res, error);
     }
 });
 
 // ===== Initialize & Start =====
 
 async function start() {
+    if (isDefaultKeyInUse() && process.env.ALLOW_INSECURE_DEFAULT_KEY !== 'true') {
+        console.error('[KEYS] API_KEY is not set (or is the default sk-key). Set API_KEY, or ALLOW_INSECURE_DEFAULT_KEY=true for local testing.');
+        process.exit(1);
+    }
+
+    // Load named API keys and usage counters
+    await initApiKeys();
+
     // Initialize session from cache/env
     await ZImage.initialize();
 
+    // Load batches first: retention keeps the images of unexpired batches
+    await loadBatches();
+
+    // Load image library index, apply retention
+    await initLibrary();
+
+    // Restore persisted jobs and resume unfinished ones. The jobs file only keeps
+    // library image IDs; URLs / b64_json are built when the job is read.
+    await initJobs(job => {
+        // Quota was taken when the job was created
+        let reserved = job.request.n;
+        return generateStoredImages(job.request, {
+            baseUrl: job.base_url,
+            onCacheStatus: status => {
+                if (isCachedResult(status)) {
+                    refundImages(job.api_key_id, reserved, job.quota_day);
+                    reserved = 0;
+                }
+            },
+            meta: { apiKeyId: job.api_key_id, source: 'job' }
+        }).then(result => ({
+            created: Math.floor(Date.now() / 1000),
+            revised_prompt: result.revised_prompt,
+            images: result.images.map(({ entry, sourceUrl }) => entry ? { image_id: entry.id } : { source_url: sourceUrl })
+        }), error => {
+            // A full queue only delays the job
+            if (!(error instanceof QueueFullError)) {
+                refundImages(job.api_key_id, reserved, job.quota_day);
+            }
+            throw error;
+        });
+    }, job => {
+        const { created, revised_prompt, images } = job.result;
+        // Jobs finished before results were stored by reference
+        if (!images) return job.result;
+
+        // Images deleted since (retention, DELETE /v1/images/library/:id) drop out
+        const stored = images
+            .map(({ image_id, source_url }) => image_id ? { entry: getImage(image_id) } : { sourceUrl: source_url })
+            .filter(({ entry, sourceUrl }) => entry || sourceUrl);
+        return buildImagesResponse({ revised_prompt, images: stored }, job.request, job.base_url, created);
+    });
+
+    // Restore persisted batches and resume unfinished rows
+    await initBatches(async (batch, row) => {
+        const imageIds = [];
+        try {
+            // Every row saves its own image for the ZIP, so rows never come from the result cache
+            const payload = await generateImages({ ...row.params, cache: false }, {
+                baseUrl: batch.base_url,
+                onProgress: (event, data) => {
+                    if (event === 'saved') imageIds.push(data.id);
+                },
+                meta: { apiKeyId: batch.api_key_id, source: 'batch', batchId: batch.id }
+            });
+            if (imageIds.length === 0) {
+                throw new UpstreamUnavailableError('The generated image could not be downloaded and saved');
+            }
+            return { image_ids: imageIds, revised_prompt: payload.data[0]?.revised_prompt ?? null };
+        } catch (error) {
+            // Quota was taken when the batch was created; a full queue only delays the row
+            if (!(error instanceof QueueFullError)) {
+                refundImages(batch.api_key_id, 1, batch.quota_day);
+            }
+            throw error;
+        }
+    });
+
+    // Refresh sessions ahead of expiry, alert admin when that keeps failing
+    new SessionScheduler({ pool: ZImage.pool, onAlert: sendAdminMessage }).start();
+
     // Start Telegram Bot (if token exists)
     startBot().catch(err => console.error('[Bot] Failed to start:', err.message));
 
+    // Re-queue generations a restart interrupted (the bot registered its resumer above)
+    await generationQueue.restore();
+
     const sessionInfo = ZImage.getSessionInfo();
 
     app.listen(PORT, () => {
@@ -412,27 +1058,48 @@ async function start() {
 ╠════════════════════════════════════════════════════════════╣
 ║  Port: ${String(PORT).padEnd(53)}║
 ║  Session: ${(sessionInfo.valid ? `✓ Valid (${sessionInfo.expiresInDays} days left)` : '✗ Not configured').padEnd(50)}║
-║  API Key: ${(API_KEY ? '✓ Configured' : '✗ Missing').padEnd(50)}║
+║  Accounts: ${`${ZImage.pool.accounts.filter(a => ZImage.pool.isAvailable(a)).length} available (${ZImage.pool.strategy})`.padEnd(49)}║
+║  API Key: ${(isDefaultKeyInUse() ? '⚠ Insecure default (sk-key)' : '✓ Configured').padEnd(50)}║
+║  Admin API: ${(isAdminEnabled() ? '✓ Enabled' : '✗ Disabled (set ADMIN_API_KEY)').padEnd(48)}║
 ╚════════════════════════════════════════════════════════════╝
 
 OpenAI Compatible Endpoints:
   GET  /v1/models                - List available models
   POST /v1/images/generations    - Generate images (OpenAI format)
+  POST /v1/images/jobs           - Start async generation job
+  GET  /v1/images/jobs/:id       - Poll job status/results
+  POST /v1/images/batches        - Start a batch from a CSV/JSONL prompt sheet
+  GET  /v1/images/batches/:id    - Batch status (/download for the ZIP)
+  GET  /v1/library               - Browse generated images + metadata
 
 Native Endpoints:
-  GET  /health                   - Health check + session status
+  GET  /health                   - Health check (details with admin key)
   GET  /options                  - Get supported ratios/resolutions
   POST /generate                 - Generate image (native format)
+  GET  /proxy/image?url=...      - Stream a Z.AI image (allowlisted hosts only)
+
+Admin Endpoints (ADMIN_API_KEY):
+  GET  /session/accounts         - Account pool status
+  POST /session                  - Set session / chat token
+  POST /session/cookies          - Import cookies (cookies.txt / JSON)
+  POST /admin/keys               - Create a named API key
+  GET  /admin/audit              - Credential change log
+  GET  /admin/moderation         - Blocked prompts
+  GET  /admin/queue              - Generation queue
 
 Environment:
   Z_IMAGE_SESSION   - Required: Session token
   Z_CHAT_TOKEN      - Optional: For auto-refresh (if missing, manual refresh needed)
-  API_KEY           - Optional: Protects API (Default: sk-key)
+  API_KEY           - Required: Root API key (sk-key needs ALLOW_INSECURE_DEFAULT_KEY=true)
+  ADMIN_API_KEY     - Optional: Enables the admin endpoints
 
 Quick Verify:
-  curl http://localhost:${PORT}/v1/models -H "Authorization: Bearer ${API_KEY}"
+  curl http://localhost:${PORT}/v1/models -H "Authorization: Bearer $API_KEY"
 `);
     });
 }
 
-start().catch(console.error);
+start().catch(error => {
+    console.error(`[STARTUP] Failed to start: ${error.message}`);
+    process.exit(1);
+});
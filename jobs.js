@@ -0,0 +1,374 @@
+/**
+ * Async Image Generation Jobs
+ *
+ * POST /v1/images/jobs returns immediately; the generation runs in the background.
+ * Jobs are persisted to a local JSON file (JOBS_FILE, default .zimage_jobs.json)
+ * so they survive a restart - unfinished jobs are re-run on startup.
+ *
+ * When a job has a callback_url, the final job object is POSTed there, signed with
+ * HMAC-SHA256 (WEBHOOK_SECRET, required for callbacks):
+ *   X-ZImage-Signature: t=<unix seconds>,v1=<hex hmac of "<t>.<raw body>">
+ *
+ * Callbacks never go to loopback, private, link-local or other non-public
+ * addresses - the host is resolved when the job is created and again on every
+ * connection. CALLBACK_ALLOWED_HOSTS (comma-separated hostnames) restricts
+ * callbacks to those hosts instead, wherever they resolve.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import { InvalidParameterError, UnsupportedOperationError, QueueFullError, toZImageError } from './errors.js';
+import { generationQueue } from './queue.js';
+
+const jobsFile = process.env.JOBS_FILE || path.join(process.cwd(), '.zimage_jobs.json');
+const retentionMs = (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const callbackDelays = [1000, 5000, 25000];
+const callbackAllowedHosts = (process.env.CALLBACK_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Addresses a callback may not reach: this host, private networks, link-local
+// (cloud metadata), CGNAT, benchmarking, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+for (const subnet of [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4'
+]) {
+    const [address, prefix] = subnet.split('/');
+    blockedAddresses.addSubnet(address, parseInt(prefix), 'ipv4');
+}
+for (const subnet of ['::/127', '::ffff:0:0/96', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8']) {
+    const [address, prefix] = subnet.split('/');
+    blockedAddresses.addSubnet(address, parseInt(prefix), 'ipv6');
+}
+
+const jobs = new Map();
+let runner = null;
+let renderer = null;
+let saveChain = Promise.resolve();
+
+/**
+ * Write all jobs to disk (writes are serialized)
+ */
+function saveJobs() {
+    saveChain = saveChain
+        .then(async () => {
+            const tmpFile = `${jobsFile}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify([...jobs.values()], null, 2));
+            await fs.rename(tmpFile, jobsFile);
+        })
+        .catch(error => console.error(`[JOBS] Failed to persist jobs: ${error.message}`));
+    return saveChain;
+}
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+function pruneJobs() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+        if (job.completed_at && job.completed_at * 1000 < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}
+
+/**
+ * Public view of a job, with its result rendered by the registered renderer
+ */
+export async function serializeJob(job) {
+    const { base_url, api_key_id, quota_day, ...publicJob } = job;
+    if (job.result && renderer) {
+        publicJob.result = await renderer(job);
+    }
+    return publicJob;
+}
+
+/**
+ * Whether an address is one a callback may not reach
+ */
+function isBlockedAddress(address) {
+    // IPv4 on a dual-stack lookup shows up as ::ffff:1.2.3.4
+    const ip = address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+    return blockedAddresses.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that refuses non-public addresses, so a callback host can't be
+ * re-pointed at an internal address after it was checked
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const callbackAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check a callback URL before accepting it
+ * @param {string} callbackUrl
+ * @throws {UnsupportedOperationError} - WEBHOOK_SECRET is not set
+ * @throws {InvalidParameterError} - Not http(s), not an allowed host, or not a public address
+ */
+export async function validateCallbackUrl(callbackUrl) {
+    if (!process.env.WEBHOOK_SECRET) {
+        throw new UnsupportedOperationError('callback_url is disabled: the server has no WEBHOOK_SECRET to sign callbacks with');
+    }
+
+    let url;
+    try {
+        url = new URL(String(callbackUrl));
+    } catch {
+        throw new InvalidParameterError('callback_url must be an http(s) URL', 'callback_url');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new InvalidParameterError('callback_url must be an http(s) URL', 'callback_url');
+    }
+
+    // IPv6 literals come back from URL in brackets
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (callbackAllowedHosts.length > 0) {
+        if (!callbackAllowedHosts.includes(hostname)) {
+            throw new InvalidParameterError(`callback_url host ${hostname} is not in CALLBACK_ALLOWED_HOSTS`, 'callback_url');
+        }
+        return;
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+        } catch {
+            throw new InvalidParameterError(`callback_url host ${hostname} could not be resolved`, 'callback_url');
+        }
+    }
+    if (addresses.some(isBlockedAddress)) {
+        throw new InvalidParameterError('callback_url must point to a public address', 'callback_url');
+    }
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @throws {Error} - WEBHOOK_SECRET is not set
+ */
+export function signPayload(body, timestamp) {
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('WEBHOOK_SECRET is not set');
+    }
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * POST the finished job to its callback_url, retrying with backoff
+ */
+async function deliverCallback(job) {
+    const body = JSON.stringify(await serializeJob(job));
+
+    // Jobs persisted before a config change (secret removed, allowlist added) are re-checked
+    try {
+        await validateCallbackUrl(job.callback_url);
+    } catch (error) {
+        console.error(`[JOBS] Not delivering callback for ${job.id}: ${error.message}`);
+        job.callback.status = 'failed';
+        job.callback.last_error = error.message;
+        await saveJobs();
+        return;
+    }
+
+    for (let attempt = 0; attempt <= callbackDelays.length; attempt++) {
+        job.callback.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            await axios.post(job.callback_url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-ZImage-Signature': signPayload(body, timestamp),
+                    'X-ZImage-Job-ID': job.id
+                },
+                timeout: 10000,
+                maxRedirects: 0,
+                ...(callbackAllowedHosts.length > 0 ? {} : callbackAgents)
+            });
+
+            job.callback.status = 'delivered';
+            job.callback.last_error = null;
+            console.log(`[JOBS] Callback delivered for ${job.id}`);
+            break;
+        } catch (error) {
+            job.callback.last_error = error.response ? `HTTP ${error.response.status}` : error.message;
+            console.error(`[JOBS] Callback attempt ${job.callback.attempts} failed for ${job.id}: ${job.callback.last_error}`);
+
+            if (attempt === callbackDelays.length) {
+                job.callback.status = 'failed';
+            } else {
+                await new Promise(resolve => setTimeout(resolve, callbackDelays[attempt]));
+            }
+        }
+    }
+
+    await saveJobs();
+}
+
+const waitForQueue = error => new Promise(resolve => setTimeout(resolve, (error.retryAfter || 10) * 1000));
+
+/**
+ * Run a job through the registered runner
+ * A full generation queue never fails a job (e.g. many jobs resumed at once after a
+ * restart): it waits for room for all its images, and a job that still hits
+ * QueueFullError is run again once there is room.
+ */
+async function runJob(job) {
+    for (;;) {
+        try {
+            generationQueue.ensureCapacity(job.request.n);
+            break;
+        } catch (error) {
+            if (!(error instanceof QueueFullError)) throw error;
+            await waitForQueue(error);
+        }
+    }
+
+    job.status = 'in_progress';
+    job.started_at = Math.floor(Date.now() / 1000);
+    await saveJobs();
+
+    console.log(`[JOBS] Running ${job.id}`);
+
+    for (;;) {
+        try {
+            job.result = await runner(job);
+            job.status = 'succeeded';
+        } catch (error) {
+            if (error instanceof QueueFullError) {
+                console.log(`[JOBS] ${job.id}: generation queue full, retrying`);
+                await waitForQueue(error);
+                continue;
+            }
+            console.error(`[JOBS] ${job.id} failed: ${error.message}`);
+            job.status = 'failed';
+            job.error = toZImageError(error).toJSON();
+        }
+        break;
+    }
+
+    job.completed_at = Math.floor(Date.now() / 1000);
+    await saveJobs();
+
+    if (job.callback_url) {
+        await deliverCallback(job);
+    }
+}
+
+/**
+ * Load persisted jobs and resume unfinished work
+ * The runner's result is persisted with the job, so it should be small (references
+ * to stored images, not image data); the renderer turns it into the public result.
+ * @param {function(object): Promise<object>} jobRunner - Receives the job, returns its result
+ * @param {function(object): Promise<object>} resultRenderer - Receives a finished job, returns its public result
+ */
+export async function initJobs(jobRunner, resultRenderer) {
+    runner = jobRunner;
+    renderer = resultRenderer;
+
+    try {
+        const data = await fs.readFile(jobsFile, 'utf8');
+        for (const job of JSON.parse(data)) {
+            jobs.set(job.id, job);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[JOBS] Failed to load ${jobsFile}: ${error.message}`);
+        }
+    }
+
+    pruneJobs();
+
+    let resumed = 0;
+    for (const job of jobs.values()) {
+        if (job.status === 'queued' || job.status === 'in_progress') {
+            job.status = 'queued';
+            runJob(job);
+            resumed++;
+        } else if (job.callback_url && job.callback.status === 'pending') {
+            deliverCallback(job);
+        }
+    }
+
+    if (resumed > 0) {
+        console.log(`[JOBS] Resumed ${resumed} unfinished job(s)`);
+    }
+    await saveJobs();
+}
+
+/**
+ * Create and start a job
+ * @param {object} request - Generation params
+ * @param {object} options
+ * @param {string} options.baseUrl - Public base URL for result links
+ * @param {string} options.callbackUrl - Optional webhook URL
+ * @param {string} options.apiKeyId - API key that created the job
+ * @param {string} options.quotaDay - Day the job's images were charged to (for refunds)
+ */
+export async function createJob(request, { baseUrl, callbackUrl, apiKeyId, quotaDay } = {}) {
+    pruneJobs();
+
+    const job = {
+        id: `job_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'image.job',
+        status: 'queued',
+        created_at: Math.floor(Date.now() / 1000),
+        started_at: null,
+        completed_at: null,
+        request,
+        base_url: baseUrl,
+        api_key_id: apiKeyId || null,
+        quota_day: quotaDay || null,
+        callback_url: callbackUrl || null,
+        callback: callbackUrl ? { status: 'pending', attempts: 0, last_error: null } : null,
+        result: null,
+        error: null
+    };
+
+    jobs.set(job.id, job);
+    await saveJobs();
+
+    runJob(job);
+
+    return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id
+ * @param {object} options
+ * @param {string} options.apiKeyId - Only if created by this API key (null = any)
+ */
+export function getJob(id, { apiKeyId = null } = {}) {
+    const job = jobs.get(id);
+    if (!job || (apiKeyId && job.api_key_id !== apiKeyId)) return null;
+    return job;
+}
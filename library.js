@@ -0,0 +1,262 @@
+/**
+ * Generated Image Library
+ *
+ * Every saved image gets a metadata entry (prompt, ratio, resolution, model,
+ * API key fingerprint, Z.AI image id, ...) in a JSON-lines index that lives in
+ * the storage backend next to the images (.library.jsonl). The dotfile name
+ * keeps it from being served by the /generated route.
+ *
+ * Retention (checked after every save):
+ * - LIBRARY_MAX_COUNT: Keep at most N images (default: 10, 0 = unlimited)
+ * - LIBRARY_MAX_AGE_DAYS: Delete images older than N days (default: unlimited)
+ * - LIBRARY_MAX_SIZE_MB: Keep total size under N MB (default: unlimited)
+ * Images under a hold (setRetentionHold, e.g. those of an unexpired batch) are
+ * skipped and don't count toward the limits.
+ */
+
+import crypto from 'crypto';
+import { storage } from './storage.js';
+import { detectImageFormat } from './image-format.js';
+
+const INDEX_KEY = '.library.jsonl';
+
+const retention = {
+    maxCount: parseInt(process.env.LIBRARY_MAX_COUNT ?? '10') || 0,
+    maxAgeMs: (parseFloat(process.env.LIBRARY_MAX_AGE_DAYS) || 0) * 24 * 60 * 60 * 1000,
+    maxBytes: (parseFloat(process.env.LIBRARY_MAX_SIZE_MB) || 0) * 1024 * 1024
+};
+
+// Entries, oldest first
+let entries = [];
+let saving = Promise.resolve();
+let isHeld = () => false;
+
+/**
+ * Write the whole index (serialized so concurrent saves can't interleave)
+ */
+function saveIndex() {
+    saving = saving
+        .catch(() => {})
+        .then(() => storage.put(INDEX_KEY, Buffer.from(entries.map(e => JSON.stringify(e) + '\n').join('')), {
+            contentType: 'application/x-ndjson'
+        }));
+    return saving;
+}
+
+/**
+ * Keep images retention would otherwise remove
+ * @param {function(object): boolean} predicate - Receives a library entry, true = keep it for now
+ */
+export function setRetentionHold(predicate) {
+    isHeld = predicate;
+}
+
+/**
+ * Apply count/age/size retention, oldest images go first
+ * @returns {Promise<boolean>} - true if anything was removed
+ */
+async function applyRetention() {
+    const expired = [];
+    const cutoff = Date.now() - retention.maxAgeMs;
+    const candidates = entries.filter(e => !isHeld(e));
+    let totalBytes = candidates.reduce((sum, e) => sum + (e.bytes || 0), 0);
+    let count = candidates.length;
+
+    for (const entry of candidates) {
+        const tooOld = retention.maxAgeMs > 0 && entry.created_at * 1000 < cutoff;
+        const tooMany = retention.maxCount > 0 && count > retention.maxCount;
+        const tooBig = retention.maxBytes > 0 && totalBytes > retention.maxBytes;
+        if (!tooOld && !tooMany && !tooBig) break;
+
+        expired.push(entry);
+        count--;
+        totalBytes -= entry.bytes || 0;
+    }
+
+    if (expired.length === 0) return false;
+
+    entries = entries.filter(e => !expired.includes(e));
+    for (const entry of expired) {
+        await storage.delete(entry.filename).catch(error => {
+            console.error(`[LIBRARY] Failed to delete ${entry.filename}: ${error.message}`);
+        });
+    }
+    console.log(`[LIBRARY] Retention removed ${expired.length} image(s)`);
+    return true;
+}
+
+/**
+ * Load the index from storage and apply retention
+ */
+export async function initLibrary() {
+    await storage.init();
+
+    const data = await storage.get(INDEX_KEY);
+    entries = [];
+    for (const line of (data ? data.toString('utf8') : '').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            console.error('[LIBRARY] Skipping corrupt index line');
+        }
+    }
+
+    if (await applyRetention()) {
+        await saveIndex();
+    }
+    console.log(`[LIBRARY] ${entries.length} image(s) indexed (${storage.driver} storage)`);
+}
+
+/**
+ * Public URL of a library image
+ */
+export function getImageUrl(entry, baseUrl) {
+    return storage.url(entry.filename, baseUrl);
+}
+
+/**
+ * Save an image and record its metadata
+ * @param {Buffer} imgBuffer - Image data
+ * @param {object} meta
+ * @param {string} meta.prompt - Full prompt
+ * @param {string} meta.model - Requested model
+ * @param {string} meta.size - Requested OpenAI size
+ * @param {string} meta.ratio - Z.AI ratio
+ * @param {string} meta.resolution - Z.AI resolution
+ * @param {number} meta.width - Pixel width reported by Z.AI
+ * @param {number} meta.height - Pixel height reported by Z.AI
+ * @param {number} meta.seed - Seed reported by Z.AI
+ * @param {string} meta.apiKeyId - Fingerprint/ID of the API key used
+ * @param {string} meta.zaiImageId - Z.AI image ID
+ * @param {string} meta.source - 'api', 'job', 'telegram', ...
+ * @param {string} meta.batchId - Batch the image belongs to
+ * @returns {Promise<object>} - Library entry
+ */
+export async function addImage(imgBuffer, meta) {
+    // Name and label the file by its real format, not the URL
+    const format = detectImageFormat(imgBuffer);
+    if (!format) {
+        console.log('[LIBRARY] Unknown image format, saving as binary');
+    }
+    const ext = format?.ext || 'bin';
+    const mimeType = format?.mimeType || 'application/octet-stream';
+
+    // Create safe filename (random suffix keeps parallel saves apart)
+    const safePrompt = meta.prompt.replace(/[^a-z0-9]/gi, '_').substring(0, 50);
+    const timestamp = Date.now();
+    const suffix = crypto.randomBytes(3).toString('hex');
+    const filename = `${timestamp}_${suffix}_${safePrompt}.${ext}`;
+
+    // We need to save the file BEFORE returning the response so the URL works
+    await storage.put(filename, imgBuffer, { contentType: mimeType });
+    console.log(`[STORAGE] Saved: ${filename} (${storage.driver})`);
+
+    const entry = {
+        id: `img_${crypto.randomBytes(8).toString('hex')}`,
+        object: 'library.image',
+        created_at: Math.floor(timestamp / 1000),
+        filename,
+        mime_type: mimeType,
+        bytes: imgBuffer.length,
+        prompt: meta.prompt,
+        revised_prompt: meta.revisedPrompt || null,
+        user: meta.user || null,
+        model: meta.model || null,
+        size: meta.size || null,
+        ratio: meta.ratio || null,
+        resolution: meta.resolution || null,
+        width: meta.width ?? null,
+        height: meta.height ?? null,
+        seed: meta.seed ?? null,
+        api_key_id: meta.apiKeyId || null,
+        zai_image_id: meta.zaiImageId || null,
+        source: meta.source || 'api',
+        batch_id: meta.batchId || null
+    };
+
+    entries.push(entry);
+    await applyRetention();
+    await saveIndex();
+    return entry;
+}
+
+/**
+ * Parse a date filter (ISO string or unix seconds) to unix seconds
+ */
+function parseDate(value) {
+    if (value === undefined || value === '') return null;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
+
+/**
+ * List images, newest first
+ * @param {object} filter
+ * @param {string} filter.q - Case-insensitive prompt substring
+ * @param {string} filter.ratio
+ * @param {string} filter.resolution
+ * @param {string} filter.model
+ * @param {string} filter.since - ISO date or unix seconds (inclusive)
+ * @param {string} filter.until - ISO date or unix seconds (inclusive)
+ * @param {number} filter.limit - Page size (default: 20, max: 100)
+ * @param {number} filter.offset
+ * @param {object} options
+ * @param {string} options.apiKeyId - Only images created by this API key (null = all)
+ */
+export function listImages(filter = {}, { apiKeyId = null } = {}) {
+    const since = parseDate(filter.since);
+    const until = parseDate(filter.until);
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+        throw new Error('since/until must be an ISO date or unix timestamp');
+    }
+
+    const q = filter.q ? String(filter.q).toLowerCase() : null;
+    const limit = Math.min(Math.max(parseInt(filter.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(filter.offset) || 0, 0);
+
+    const matches = entries
+        .filter(e => !apiKeyId || e.api_key_id === apiKeyId)
+        .filter(e => !q || e.prompt.toLowerCase().includes(q))
+        .filter(e => !filter.ratio || e.ratio === filter.ratio)
+        .filter(e => !filter.resolution || e.resolution === filter.resolution)
+        .filter(e => !filter.model || e.model === filter.model)
+        .filter(e => since === null || e.created_at >= since)
+        .filter(e => until === null || e.created_at <= until)
+        .reverse();
+
+    return {
+        total: matches.length,
+        data: matches.slice(offset, offset + limit),
+        has_more: offset + limit < matches.length
+    };
+}
+
+/**
+ * Get image entry by ID
+ * @param {string} id
+ * @param {object} options
+ * @param {string} options.apiKeyId - Only if created by this API key (null = any)
+ */
+export function getImage(id, { apiKeyId = null } = {}) {
+    return entries.find(e => e.id === id && (!apiKeyId || e.api_key_id === apiKeyId)) || null;
+}
+
+/**
+ * Delete image file and entry
+ * @param {string} id
+ * @param {object} options
+ * @param {string} options.apiKeyId - Only if created by this API key (null = any)
+ * @returns {Promise<boolean>} - false if not found
+ */
+export async function deleteImage(id, { apiKeyId = null } = {}) {
+    const entry = getImage(id, { apiKeyId });
+    if (!entry) return false;
+
+    await storage.delete(entry.filename);
+    entries = entries.filter(e => e !== entry);
+    await saveIndex();
+    console.log(`[LIBRARY] Deleted ${entry.id} (${entry.filename})`);
+    return true;
+}
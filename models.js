@@ -0,0 +1,162 @@
+/**
+ * Model Registry
+ *
+ * Single source for the models listed by /v1/models and for mapping requests:
+ * - id / aliases: Names clients may send (aliases resolve to the id)
+ * - resolution: Default Z.AI resolution, resolutions: what `quality` may pick
+ * - ratios: Allowed Z.AI ratios, sizes: OpenAI `size` -> ratio
+ * - max_n: Max images per request
+ * - pricing: Informational price per image by resolution
+ *
+ * Override or extend it with a JSON file (MODELS_FILE, default models.json if present):
+ *   { "default": "z-image", "models": [{ "id": "z-image", "max_n": 2 }, { "id": "my-model", ... }] }
+ * Entries with a built-in id are merged into it, `"disabled": true` removes a model.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ZImage from './z-image.js';
+
+// Unix seconds, stable across restarts (OpenAI `created`)
+const CREATED = 1735689600;
+
+const defaultMaxN = parseInt(process.env.MAX_IMAGES_PER_REQUEST) || 4;
+
+// OpenAI sizes -> Z.AI ratio
+const defaultSizes = {
+    '256x256': '1:1',
+    '512x512': '1:1',
+    '1024x1024': '1:1',
+    '1024x1792': '9:16',
+    '1792x1024': '16:9',
+    '1280x720': '16:9',
+    '720x1280': '9:16',
+    '1920x1080': '16:9',
+    '1080x1920': '9:16'
+};
+
+const builtinModels = [
+    {
+        id: 'z-image',
+        name: 'Z.AI Image (Standard)',
+        aliases: ['dall-e-2', 'z-ai-image'],
+        resolution: '1K',
+        resolutions: ['1K', '2K']
+    },
+    {
+        id: 'z-image-pro',
+        name: 'Z.AI Image (HD)',
+        aliases: ['dall-e-3'],
+        resolution: '2K',
+        resolutions: ['2K']
+    }
+];
+
+/**
+ * Fill in defaults and check a model definition against what Z.AI supports
+ */
+function normalizeModel(model) {
+    const normalized = {
+        id: model.id,
+        name: model.name || model.id,
+        created: model.created ?? CREATED,
+        owned_by: model.owned_by || 'z-ai',
+        aliases: model.aliases || [],
+        resolution: model.resolution || '1K',
+        resolutions: model.resolutions || [model.resolution || '1K'],
+        ratios: model.ratios || [...ZImage.ratios],
+        sizes: model.sizes || { ...defaultSizes },
+        max_n: model.max_n ?? defaultMaxN,
+        pricing: model.pricing || { currency: 'USD', per_image: { '1K': 0, '2K': 0 } }
+    };
+
+    const fail = (message) => {
+        throw new Error(`Invalid model '${model.id}': ${message}`);
+    };
+    if (typeof normalized.id !== 'string' || !normalized.id) fail('id is required');
+    if (!normalized.resolutions.includes(normalized.resolution)) fail(`default resolution ${normalized.resolution} is not in resolutions`);
+    for (const resolution of normalized.resolutions) {
+        if (!ZImage.resolutions.includes(resolution)) fail(`unknown resolution ${resolution}`);
+    }
+    for (const ratio of normalized.ratios) {
+        if (!ZImage.ratios.includes(ratio)) fail(`unknown ratio ${ratio}`);
+    }
+    for (const [size, ratio] of Object.entries(normalized.sizes)) {
+        if (!normalized.ratios.includes(ratio)) fail(`size ${size} maps to ratio ${ratio}, which is not allowed`);
+    }
+    if (!Number.isInteger(normalized.max_n) || normalized.max_n < 1) fail('max_n must be a positive integer');
+
+    return normalized;
+}
+
+/**
+ * Built-in models merged with the config file
+ */
+function loadRegistry() {
+    const file = process.env.MODELS_FILE || path.join(process.cwd(), 'models.json');
+
+    let config = {};
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`[MODELS] Loaded model config from ${file}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT' || process.env.MODELS_FILE) {
+            throw new Error(`Failed to load model config ${file}: ${error.message}`);
+        }
+    }
+
+    const definitions = new Map(builtinModels.map(model => [model.id, model]));
+    for (const override of config.models || []) {
+        if (override.disabled) {
+            definitions.delete(override.id);
+        } else {
+            definitions.set(override.id, { ...definitions.get(override.id), ...override });
+        }
+    }
+
+    const models = [...definitions.values()].map(normalizeModel);
+    const byName = new Map();
+    for (const model of models) {
+        for (const name of [model.id, ...model.aliases]) {
+            if (byName.has(name)) {
+                throw new Error(`Model name '${name}' is used by both ${byName.get(name).id} and ${model.id}`);
+            }
+            byName.set(name, model);
+        }
+    }
+
+    const defaultModel = byName.get(process.env.DEFAULT_MODEL || config.default || 'z-image') || models[0];
+    if (!defaultModel) {
+        throw new Error('No models configured');
+    }
+
+    return { models, byName, defaultModel };
+}
+
+const registry = loadRegistry();
+
+export const models = registry.models;
+export const defaultModel = registry.defaultModel;
+
+/**
+ * Look up a model by id or alias
+ * @returns {object|null}
+ */
+export function findModel(name) {
+    return registry.byName.get(name) || null;
+}
+
+/**
+ * OpenAI model object
+ */
+export function serializeModel(model) {
+    const { id, created, owned_by, ...details } = model;
+    return {
+        id,
+        object: 'model',
+        created,
+        owned_by,
+        ...details,
+        capabilities: ZImage.capabilities
+    };
+}
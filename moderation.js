@@ -0,0 +1,207 @@
+/**
+ * Prompt Moderation
+ *
+ * Prompts from the API and the Telegram bot are checked locally before they reach
+ * Z.AI, so unwanted prompts are refused with a clear content_policy_violation
+ * instead of getting the account flagged upstream.
+ *
+ * Rules come from MODERATION_FILE (default moderation.json if present) and
+ * MODERATION_BLOCKLIST (comma-separated, added to the global blocklist):
+ *   { "blocklist": ["gore", "/\\bnsfw\\b/i"],
+ *     "allowlist": ["gore-tex"],
+ *     "api_keys": { "key_0123456789ab": { "blocklist": ["celebrity"] }, "root": { "enabled": false } },
+ *     "telegram_users": { "123456789": { "inherit": false, "blocklist": ["spam"] } } }
+ *
+ * - Plain entries match case-insensitively as whole words / phrases, "/.../flags" entries are regexes
+ * - Allowlist entries are cut out of the prompt before the blocklist runs
+ *   (allow "gore-tex" while blocking "gore")
+ * - A policy adds its lists to the global ones; "inherit": false replaces them and
+ *   "enabled": false turns moderation off for that API key / Telegram user.
+ *   "root" names the root API_KEY.
+ *
+ * Blocked prompts are appended to MODERATION_LOG_FILE (default .zimage_moderation.jsonl):
+ *   { time, source, api_key_id, telegram_user_id, policy, rule, prompt }
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { ContentRejectedError } from './errors.js';
+import { rootKeyId } from './api-keys.js';
+
+const logFile = process.env.MODERATION_LOG_FILE || path.join(process.cwd(), '.zimage_moderation.jsonl');
+
+let writeChain = Promise.resolve();
+
+/**
+ * Turn a list entry into a rule ({ source, pattern })
+ */
+function compileRule(entry, file) {
+    if (typeof entry !== 'string' || !entry.trim()) {
+        throw new Error(`Invalid moderation rule in ${file}: ${JSON.stringify(entry)}`);
+    }
+
+    const regex = /^\/(.+)\/([a-z]*)$/s.exec(entry);
+    if (regex) {
+        try {
+            // Global so allowlist entries can be cut out everywhere; test() below resets lastIndex
+            return { source: entry, pattern: new RegExp(regex[1], regex[2].replace('g', '') + 'g') };
+        } catch (error) {
+            throw new Error(`Invalid moderation regex in ${file}: ${entry} (${error.message})`);
+        }
+    }
+
+    const phrase = entry.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return { source: entry, pattern: new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'giu') };
+}
+
+/**
+ * Rules for one policy, combined with the global ones unless it opts out
+ */
+function compilePolicy(name, policy, global, file) {
+    const inherit = policy.inherit !== false;
+    return {
+        name,
+        enabled: policy.enabled !== false,
+        blocklist: [...(inherit ? global.blocklist : []), ...(policy.blocklist || []).map(entry => compileRule(entry, file))],
+        allowlist: [...(inherit ? global.allowlist : []), ...(policy.allowlist || []).map(entry => compileRule(entry, file))]
+    };
+}
+
+/**
+ * Global and per-key / per-user policies from the config file and env
+ */
+function loadPolicies() {
+    const file = process.env.MODERATION_FILE || path.join(process.cwd(), 'moderation.json');
+
+    let config = {};
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`[MODERATION] Loaded moderation rules from ${file}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT' || process.env.MODERATION_FILE) {
+            throw new Error(`Failed to load moderation rules ${file}: ${error.message}`);
+        }
+    }
+
+    const envBlocklist = (process.env.MODERATION_BLOCKLIST || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const global = compilePolicy('global', {
+        blocklist: [...(config.blocklist || []), ...envBlocklist],
+        allowlist: config.allowlist || []
+    }, { blocklist: [], allowlist: [] }, file);
+
+    const compileAll = (policies, prefix) => new Map(Object.entries(policies || {}).map(
+        ([id, policy]) => [id, compilePolicy(`${prefix}:${id}`, policy, global, file)]
+    ));
+
+    return {
+        global,
+        apiKeys: compileAll(config.api_keys, 'api_key'),
+        telegramUsers: compileAll(config.telegram_users, 'telegram_user')
+    };
+}
+
+const policies = loadPolicies();
+
+/**
+ * Policy that applies to a request
+ * @param {object} context
+ * @param {string} context.apiKeyId
+ * @param {string|number} context.telegramUserId
+ */
+function policyFor({ apiKeyId, telegramUserId }) {
+    if (apiKeyId) {
+        const policy = policies.apiKeys.get(apiKeyId) || (apiKeyId === rootKeyId ? policies.apiKeys.get('root') : null);
+        if (policy) return policy;
+    }
+    if (telegramUserId !== undefined && telegramUserId !== null) {
+        const policy = policies.telegramUsers.get(String(telegramUserId));
+        if (policy) return policy;
+    }
+    return policies.global;
+}
+
+/**
+ * First blocklist rule a prompt hits (null if it passes)
+ */
+function findViolation(prompt, policy) {
+    let text = String(prompt);
+    for (const rule of policy.allowlist) {
+        text = text.replace(rule.pattern, ' ');
+    }
+    return policy.blocklist.find(rule => {
+        rule.pattern.lastIndex = 0;
+        return rule.pattern.test(text);
+    }) || null;
+}
+
+/**
+ * Append a blocked request to the moderation log (writes are serialized)
+ */
+function recordBlocked(entry) {
+    writeChain = writeChain
+        .then(() => fsp.appendFile(logFile, JSON.stringify(entry) + '\n', { mode: 0o600 }))
+        .catch(error => console.error(`[MODERATION] Failed to write moderation log: ${error.message}`));
+    return writeChain;
+}
+
+/**
+ * Check a prompt against the policy for its sender
+ * @param {string} prompt
+ * @param {object} context
+ * @param {string} context.source - 'api', 'job', 'telegram'
+ * @param {string} context.apiKeyId - API key that sent it
+ * @param {string|number} context.telegramUserId - Telegram user that sent it
+ * @param {string} context.param - Request parameter the text came from (for the error)
+ * @throws {ContentRejectedError} - Prompt hit a blocklist rule
+ */
+export function moderatePrompt(prompt, { source, apiKeyId = null, telegramUserId = null, param = 'prompt' } = {}) {
+    const policy = policyFor({ apiKeyId, telegramUserId });
+    if (!policy.enabled) return;
+
+    const rule = findViolation(prompt, policy);
+    if (!rule) return;
+
+    const sender = apiKeyId || (telegramUserId !== null ? `telegram:${telegramUserId}` : 'unknown');
+    console.log(`[MODERATION] Blocked prompt from ${sender} (${policy.name}, rule ${rule.source})`);
+    recordBlocked({
+        time: new Date().toISOString(),
+        source,
+        api_key_id: apiKeyId,
+        telegram_user_id: telegramUserId,
+        policy: policy.name,
+        rule: rule.source,
+        prompt
+    });
+
+    throw new ContentRejectedError('Your prompt was blocked by this server\'s content policy.', { param });
+}
+
+/**
+ * Most recent blocked requests, newest first
+ * @param {number} limit
+ */
+export async function readBlocked(limit = 20) {
+    await writeChain;
+
+    let content;
+    try {
+        content = await fsp.readFile(logFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return content.split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
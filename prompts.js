@@ -0,0 +1,271 @@
+/**
+ * Prompt Pipeline
+ *
+ * Runs before every OpenAI-compatible generation; its output is sent to Z.AI and
+ * returned as `revised_prompt`:
+ * 1. Template variables: {{name}} from `prompt_variables` in the request, falling
+ *    back to the config file's `variables`
+ * 2. Rewriter (optional): an LLM or anything else implementing PromptRewriter
+ * 3. Style preset: `style` appends its modifiers (vivid, natural or custom)
+ * 4. Negative prompt: `negative_prompt` plus the style's, appended as "Avoid: ..."
+ *    (Z.AI has no negative prompt field)
+ * The assembled prompt - exactly what is sent to Z.AI - goes through the caller's
+ * moderation check.
+ *
+ * Config file (PROMPT_CONFIG_FILE, default prompts.json if present):
+ *   { "default_style": null,
+ *     "styles": { "anime": { "suffix": "anime style, cel shading", "negative": "photo" } },
+ *     "variables": { "brand": "Acme" } }
+ *
+ * Rewriter (PROMPT_REWRITER):
+ * - unset: No rewriting
+ * - 'chat': OpenAI-compatible /chat/completions (PROMPT_REWRITER_URL, PROMPT_REWRITER_API_KEY,
+ *   PROMPT_REWRITER_MODEL, PROMPT_REWRITER_TIMEOUT)
+ * - 'stub': Returns the prompt unchanged (for tests), or use setPromptRewriter()
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+/**
+ * @typedef {object} PromptRewriter
+ * @property {string} name - Shown in logs
+ * @property {function(string, {user: string|null, style: string|null, model: string}): Promise<string>} rewrite
+ *   Returns the rewritten prompt; a rejection keeps the original
+ */
+
+const builtinStyles = {
+    vivid: {
+        suffix: 'vivid colors, dramatic lighting, high contrast, hyper-detailed'
+    },
+    natural: {
+        suffix: 'natural colors, soft realistic lighting, true-to-life details',
+        negative: 'oversaturated, overly dramatic'
+    }
+};
+
+const variablePattern = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Built-in styles merged with the config file
+ */
+function loadConfig() {
+    const file = process.env.PROMPT_CONFIG_FILE || path.join(process.cwd(), 'prompts.json');
+
+    let config = {};
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`[PROMPTS] Loaded prompt config from ${file}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT' || process.env.PROMPT_CONFIG_FILE) {
+            throw new Error(`Failed to load prompt config ${file}: ${error.message}`);
+        }
+    }
+
+    const styles = { ...builtinStyles, ...config.styles };
+    for (const [name, style] of Object.entries(styles)) {
+        if (!style || typeof style.suffix !== 'string') {
+            throw new Error(`Invalid prompt style '${name}': suffix must be a string`);
+        }
+    }
+
+    const defaultStyle = config.default_style ?? null;
+    if (defaultStyle !== null && !styles[defaultStyle]) {
+        throw new Error(`Unknown default_style '${defaultStyle}' in ${file}`);
+    }
+
+    return { styles, defaultStyle, variables: config.variables || {} };
+}
+
+const config = loadConfig();
+
+export const styleNames = Object.keys(config.styles);
+
+/**
+ * Rewriter that leaves prompts unchanged, or applies `transform` (for tests)
+ * @param {function(string, object): string} transform
+ * @returns {PromptRewriter}
+ */
+export function createStubRewriter(transform = prompt => prompt) {
+    return {
+        name: 'stub',
+        rewrite: async (prompt, context) => transform(prompt, context)
+    };
+}
+
+/**
+ * Rewriter backed by an OpenAI-compatible chat completions API
+ * @param {object} options
+ * @param {string} options.url - API base URL, e.g. https://api.openai.com/v1
+ * @param {string} options.apiKey
+ * @param {string} options.model
+ * @param {number} options.timeout - Milliseconds
+ * @returns {PromptRewriter}
+ */
+export function createChatRewriter({ url, apiKey, model = 'gpt-4o-mini', timeout = 20000 }) {
+    if (!url) {
+        throw new Error('PROMPT_REWRITER=chat needs PROMPT_REWRITER_URL');
+    }
+
+    return {
+        name: `chat:${model}`,
+        async rewrite(prompt, { user }) {
+            const response = await axios.post(`${url.replace(/\/+$/, '')}/chat/completions`, {
+                model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'Rewrite the user\'s image prompt to be more detailed and visual for a text-to-image model. ' +
+                            'Keep the subject and intent. Reply with the prompt only.'
+                    },
+                    { role: 'user', content: prompt }
+                ],
+                ...(user ? { user } : {})
+            }, {
+                timeout,
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+            });
+
+            const text = response.data?.choices?.[0]?.message?.content?.trim();
+            if (!text) {
+                throw new Error('Empty rewriter response');
+            }
+            return text;
+        }
+    };
+}
+
+/**
+ * Rewriter from PROMPT_REWRITER (null when unset)
+ */
+function rewriterFromEnv() {
+    switch (process.env.PROMPT_REWRITER || '') {
+        case '':
+            return null;
+        case 'stub':
+            return createStubRewriter();
+        case 'chat':
+            return createChatRewriter({
+                url: process.env.PROMPT_REWRITER_URL,
+                apiKey: process.env.PROMPT_REWRITER_API_KEY,
+                model: process.env.PROMPT_REWRITER_MODEL || undefined,
+                timeout: (parseFloat(process.env.PROMPT_REWRITER_TIMEOUT) || 20) * 1000
+            });
+        default:
+            throw new Error(`Unknown PROMPT_REWRITER: ${process.env.PROMPT_REWRITER} (expected 'chat' or 'stub')`);
+    }
+}
+
+let rewriter = rewriterFromEnv();
+
+/**
+ * Replace the rewriter (null disables rewriting)
+ * @param {PromptRewriter|null} value
+ */
+export function setPromptRewriter(value) {
+    rewriter = value;
+}
+
+export function getPromptRewriter() {
+    return rewriter;
+}
+
+/**
+ * Fill in {{name}} variables
+ * @throws {Error} - Unknown variable
+ */
+function renderTemplate(prompt, variables) {
+    return prompt.replace(variablePattern, (_, name) => {
+        const value = variables[name] ?? config.variables[name];
+        if (value === undefined) {
+            throw new Error(`Unknown template variable '{{${name}}}'`);
+        }
+        return String(value);
+    });
+}
+
+/**
+ * The request prompt with its template variables filled in (params must be validated)
+ */
+export function renderPrompt(params) {
+    return renderTemplate(params.prompt, params.prompt_variables || {});
+}
+
+/**
+ * Check the prompt-related request params, returns an OpenAI-style error or null
+ * @param {object} params - Output of mapGenerationParams()
+ * @returns {{message: string, param: string}|null}
+ */
+export function validatePromptParams(params) {
+    const { prompt, style, negative_prompt, prompt_variables, enhance_prompt, user } = params;
+
+    if (typeof prompt !== 'string') {
+        return { message: `Invalid 'prompt': expected a string, but got ${typeof prompt} instead.`, param: 'prompt' };
+    }
+    if (style !== null && !config.styles[style]) {
+        return { message: `Invalid 'style': expected one of ${styleNames.join(', ')}, but got ${JSON.stringify(style)} instead.`, param: 'style' };
+    }
+    if (negative_prompt !== null && typeof negative_prompt !== 'string') {
+        return { message: `Invalid 'negative_prompt': expected a string.`, param: 'negative_prompt' };
+    }
+    if (prompt_variables !== null) {
+        const valid = typeof prompt_variables === 'object' && !Array.isArray(prompt_variables) &&
+            Object.values(prompt_variables).every(value => ['string', 'number'].includes(typeof value));
+        if (!valid) {
+            return { message: `Invalid 'prompt_variables': expected an object of strings or numbers.`, param: 'prompt_variables' };
+        }
+    }
+    if (typeof enhance_prompt !== 'boolean') {
+        return { message: `Invalid 'enhance_prompt': expected a boolean.`, param: 'enhance_prompt' };
+    }
+    if (user !== null && (typeof user !== 'string' || user.length > 256)) {
+        return { message: `Invalid 'user': expected a string of at most 256 characters.`, param: 'user' };
+    }
+
+    try {
+        renderTemplate(prompt, prompt_variables || {});
+    } catch (error) {
+        return { message: error.message, param: 'prompt' };
+    }
+    return null;
+}
+
+/**
+ * Run the pipeline (see header)
+ * @param {object} params - Validated output of mapGenerationParams()
+ * @param {object} options
+ * @param {function(string)} options.moderate - Throws if the final prompt isn't allowed
+ * @returns {Promise<string>} - Prompt for Z.AI / revised_prompt
+ */
+export async function revisePrompt(params, { moderate = () => {} } = {}) {
+    const { model, negative_prompt, enhance_prompt, user } = params;
+    const style = params.style ?? config.defaultStyle;
+
+    let prompt = renderPrompt(params);
+
+    if (rewriter && enhance_prompt) {
+        try {
+            const startTime = Date.now();
+            prompt = (await rewriter.rewrite(prompt, { user, style, model })).trim() || prompt;
+            console.log(`[PROMPTS] Rewritten by ${rewriter.name} in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            console.error(`[PROMPTS] Rewriter ${rewriter.name} failed, using the original prompt: ${error.message}`);
+        }
+    }
+
+    const negatives = [];
+    if (style) {
+        prompt = `${prompt.replace(/[\s,.]+$/, '')}, ${config.styles[style].suffix}`;
+        if (config.styles[style].negative) negatives.push(config.styles[style].negative);
+    }
+    if (negative_prompt?.trim()) {
+        negatives.push(negative_prompt.trim());
+    }
+    if (negatives.length > 0) {
+        prompt = `${prompt.replace(/[\s,.]+$/, '')}. Avoid: ${negatives.join(', ')}`;
+    }
+
+    moderate(prompt);
+    return prompt;
+}
@@ -0,0 +1,284 @@
+/**
+ * Generation Queue
+ *
+ * Every Z.AI generation (API, async jobs, Telegram bot) goes through
+ * `generationQueue`, which replaces a plain FIFO limiter:
+ * - At most ZAI_MAX_CONCURRENCY generations run at once
+ * - Waiting requests are served by priority: admin (root API key, bot admin chat)
+ *   > API keys > Telegram users
+ * - Within a priority, requesters take turns (round-robin), so one heavy user
+ *   can't starve the others
+ * - More than QUEUE_MAX_DEPTH waiting requests -> QueueFullError (429); 0 = no waiting
+ * - Entries with a `kind` are persisted to QUEUE_FILE (default .zimage_queue.json)
+ *   and handed to the resumer registered for that kind after a restart. Only the
+ *   bot uses this: async jobs resume through jobs.js, and a synchronous API
+ *   request can't outlive its connection.
+ * - `onPosition` reports an entry's place in line whenever it changes (0 = running)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { QueueFullError } from './errors.js';
+
+// Highest first
+export const priorities = ['admin', 'api', 'telegram'];
+
+export class GenerationQueue {
+    /**
+     * @param {object} options
+     * @param {number} options.concurrency - Max tasks running at once
+     * @param {number} options.maxDepth - Max waiting tasks
+     * @param {string} options.file - Where resumable entries are persisted (null = not persisted)
+     */
+    constructor({ concurrency, maxDepth, file = null }) {
+        this.concurrency = Math.max(1, concurrency);
+        this.maxDepth = Math.max(0, maxDepth);
+        this.file = file;
+
+        // Per priority: requesters in turn order, and each requester's waiting entries
+        this.levels = new Map(priorities.map(priority => [priority, { order: [], byRequester: new Map() }]));
+        this.running = new Map();
+        this.resumers = new Map();
+        this.saveChain = Promise.resolve();
+        // Nothing is written before restore() has read the previous run's entries
+        this.restored = false;
+    }
+
+    /**
+     * Number of tasks waiting for a slot
+     */
+    get pending() {
+        let count = 0;
+        for (const { byRequester } of this.levels.values()) {
+            for (const entries of byRequester.values()) count += entries.length;
+        }
+        return count;
+    }
+
+    get active() {
+        return this.running.size;
+    }
+
+    /**
+     * Throw QueueFullError unless `count` more tasks fit (free slots + queue space)
+     */
+    ensureCapacity(count = 1) {
+        const free = Math.max(0, this.concurrency - this.running.size - this.pending);
+        if (count > free + this.maxDepth - this.pending) {
+            throw new QueueFullError(
+                `The generation queue is full (${this.pending} waiting). Please retry shortly.`,
+                { retryAfter: 10 }
+            );
+        }
+    }
+
+    /**
+     * Run a task once it's its turn
+     * @param {function(): Promise<any>} task
+     * @param {object} options
+     * @param {string} options.priority - 'admin', 'api' or 'telegram'
+     * @param {string} options.requester - Who asked (API key ID, 'telegram:<user id>'), the unit of fairness
+     * @param {string} options.kind - Resumer to hand `payload` to after a restart (null = not resumable)
+     * @param {object} options.payload - JSON-serializable data for the resumer
+     * @param {function(number)} options.onPosition - Place in line (1 = next), 0 once running
+     * @throws {QueueFullError}
+     */
+    run(task, { priority = 'api', requester = 'anonymous', kind = null, payload = null, onPosition = null } = {}) {
+        if (!this.levels.has(priority)) {
+            throw new Error(`Unknown queue priority: ${priority}`);
+        }
+        this.ensureCapacity(1);
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id: crypto.randomBytes(8).toString('hex'),
+                priority,
+                requester,
+                kind,
+                payload,
+                enqueued_at: Math.floor(Date.now() / 1000),
+                task,
+                resolve,
+                reject,
+                onPosition,
+                position: null
+            };
+
+            const level = this.levels.get(priority);
+            if (!level.byRequester.has(requester)) {
+                level.byRequester.set(requester, []);
+                level.order.push(requester);
+            }
+            level.byRequester.get(requester).push(entry);
+
+            this.next();
+            this.save();
+        });
+    }
+
+    /**
+     * Take the next entry: highest priority, then the requester whose turn it is
+     */
+    dequeue() {
+        for (const { order, byRequester } of this.levels.values()) {
+            if (order.length === 0) continue;
+
+            const requester = order.shift();
+            const entries = byRequester.get(requester);
+            const entry = entries.shift();
+            if (entries.length > 0) {
+                order.push(requester);
+            } else {
+                byRequester.delete(requester);
+            }
+            return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Start entries while slots are free, then update everyone's position
+     */
+    next() {
+        while (this.running.size < this.concurrency) {
+            const entry = this.dequeue();
+            if (!entry) break;
+            this.start(entry);
+        }
+        this.updatePositions();
+    }
+
+    start(entry) {
+        this.running.set(entry.id, entry);
+        this.report(entry, 0);
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                this.running.delete(entry.id);
+                this.next();
+                this.save();
+            });
+    }
+
+    /**
+     * Waiting entries in the order they will run (if nothing else arrives)
+     */
+    waiting() {
+        const ordered = [];
+        for (const { order, byRequester } of this.levels.values()) {
+            const lists = order.map(requester => byRequester.get(requester));
+            const rounds = Math.max(0, ...lists.map(entries => entries.length));
+            for (let round = 0; round < rounds; round++) {
+                for (const entries of lists) {
+                    if (entries[round]) ordered.push(entries[round]);
+                }
+            }
+        }
+        return ordered;
+    }
+
+    updatePositions() {
+        this.waiting().forEach((entry, index) => this.report(entry, index + 1));
+    }
+
+    report(entry, position) {
+        if (entry.position === position) return;
+        entry.position = position;
+        if (!entry.onPosition) return;
+        try {
+            entry.onPosition(position);
+        } catch (error) {
+            console.error(`[QUEUE] Position callback failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue state for the admin API
+     */
+    snapshot() {
+        const view = ({ id, priority, requester, kind, enqueued_at, position }) => ({ id, priority, requester, kind, enqueued_at, position });
+        return {
+            concurrency: this.concurrency,
+            max_depth: this.maxDepth,
+            running: [...this.running.values()].map(view),
+            waiting: this.waiting().map(view)
+        };
+    }
+
+    /**
+     * Persist resumable entries, running ones first (writes are serialized)
+     */
+    save() {
+        if (!this.file || !this.restored) return this.saveChain;
+
+        const entries = [...this.running.values(), ...this.waiting()]
+            .filter(entry => entry.kind)
+            .map(({ id, priority, requester, kind, payload, enqueued_at }) => ({ id, priority, requester, kind, payload, enqueued_at }));
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tmpFile = `${this.file}.tmp`;
+                await fs.writeFile(tmpFile, JSON.stringify(entries, null, 2));
+                await fs.rename(tmpFile, this.file);
+            })
+            .catch(error => console.error(`[QUEUE] Failed to persist queue: ${error.message}`));
+        return this.saveChain;
+    }
+
+    /**
+     * Handle persisted entries of `kind` after a restart
+     * @param {string} kind
+     * @param {function(object, object): void} resumer - Receives the payload and { priority, requester }
+     */
+    registerResumer(kind, resumer) {
+        this.resumers.set(kind, resumer);
+    }
+
+    /**
+     * Hand the entries persisted by the previous run to their resumers, then start persisting
+     */
+    async restore() {
+        if (!this.file) return;
+
+        let entries = [];
+        try {
+            entries = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[QUEUE] Failed to read ${this.file}: ${error.message}`);
+            }
+        }
+        this.restored = true;
+
+        let resumed = 0;
+        for (const entry of entries) {
+            const resumer = this.resumers.get(entry.kind);
+            if (!resumer) {
+                console.log(`[QUEUE] Dropping ${entry.kind} entry ${entry.id}: nothing can resume it`);
+                continue;
+            }
+            try {
+                resumer(entry.payload, { priority: entry.priority, requester: entry.requester });
+                resumed++;
+            } catch (error) {
+                console.error(`[QUEUE] Failed to resume ${entry.kind} entry ${entry.id}: ${error.message}`);
+            }
+        }
+        if (entries.length > 0) {
+            console.log(`[QUEUE] Resumed ${resumed} of ${entries.length} queued generation(s)`);
+        }
+        await this.save();
+    }
+}
+
+// QUEUE_MAX_DEPTH=0 is valid: nothing waits, requests beyond the running slots get 429
+const maxDepth = parseInt(process.env.QUEUE_MAX_DEPTH);
+
+export const generationQueue = new GenerationQueue({
+    concurrency: parseInt(process.env.ZAI_MAX_CONCURRENCY) || 2,
+    maxDepth: Number.isNaN(maxDepth) ? 50 : maxDepth,
+    file: process.env.QUEUE_FILE || path.join(process.cwd(), '.zimage_queue.json')
+});
@@ -0,0 +1,80 @@
+/**
+ * Result Cache
+ *
+ * Opt-in dedup for identical generation requests (RESULT_CACHE_TTL seconds, unset = off):
+ * - Results are cached for the TTL, keyed by the caller (see generation.js for
+ *   what goes into the key); values only point at saved images, never hold them
+ * - Identical requests that arrive while one is running share its result instead
+ *   of starting another upstream call
+ * - At most RESULT_CACHE_MAX_ENTRIES results are kept, oldest dropped first
+ *
+ * Status reported per request: HIT, COALESCED (joined a running request), MISS, BYPASS.
+ */
+
+import crypto from 'crypto';
+
+const ttlMs = (parseFloat(process.env.RESULT_CACHE_TTL) || 0) * 1000;
+const maxEntries = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES) || 500;
+
+// key -> { value, expiresAt }, in insertion order
+const results = new Map();
+// key -> Promise of the value being computed
+const inFlight = new Map();
+
+export function isResultCacheEnabled() {
+    return ttlMs > 0;
+}
+
+/**
+ * Stable key for a JSON-serializable description of a request
+ */
+export function resultCacheKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function prune() {
+    const now = Date.now();
+    for (const [key, cached] of results) {
+        if (cached.expiresAt <= now) results.delete(key);
+    }
+    while (results.size > maxEntries) {
+        results.delete(results.keys().next().value);
+    }
+}
+
+/**
+ * Cached value for `key`, or the result of `compute()` shared with concurrent callers
+ * @param {string} key
+ * @param {function(): Promise<any>} compute
+ * @param {object} options
+ * @param {function(any): boolean} options.isValid - Whether a cached value can still be served
+ * @param {function(any): boolean} options.isCacheable - Whether a fresh value may be cached
+ * @param {function(any): any} options.toCached - What to keep of a fresh value (drop buffers etc.)
+ * @returns {Promise<{value: any, status: string}>} - status: 'HIT', 'COALESCED' or 'MISS'
+ */
+export async function withResultCache(key, compute, { isValid = () => true, isCacheable = () => true, toCached = value => value } = {}) {
+    const cached = results.get(key);
+    if (cached) {
+        if (cached.expiresAt > Date.now() && isValid(cached.value)) {
+            return { value: cached.value, status: 'HIT' };
+        }
+        results.delete(key);
+    }
+
+    if (inFlight.has(key)) {
+        return { value: await inFlight.get(key), status: 'COALESCED' };
+    }
+
+    const promise = compute();
+    inFlight.set(key, promise);
+    try {
+        const value = await promise;
+        if (isCacheable(value)) {
+            results.set(key, { value: toCached(value), expiresAt: Date.now() + ttlMs });
+            prune();
+        }
+        return { value, status: 'MISS' };
+    } finally {
+        inFlight.delete(key);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Encrypted Session Cache
+ *
+ * The session cache holds Z.AI tokens and cookies, so it is written encrypted
+ * (AES-256-GCM, key derived with scrypt) with 0600 permissions:
+ *   { "format": "zimage-encrypted-v1", "kdf": { "name": "scrypt", "salt", "N", "r", "p" },
+ *     "iv", "tag", "data" }
+ *
+ * Key material, first match wins:
+ * - SESSION_CACHE_KEY: Passphrase / random string from env
+ * - SESSION_CACHE_KEY_FILE: File holding it (default .zimage_cache.key); created
+ *   with a random key on first use when neither exists
+ *
+ * Plaintext caches from older versions are still read and get re-written encrypted.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const FORMAT = 'zimage-encrypted-v1';
+const AAD = Buffer.from(FORMAT);
+const scryptParams = { N: 16384, r: 8, p: 1 };
+
+export const sessionCacheFile = process.env.SESSION_CACHE_FILE || path.join(process.cwd(), '.zimage_session_cache.json');
+const keyFile = process.env.SESSION_CACHE_KEY_FILE || path.join(process.cwd(), '.zimage_cache.key');
+
+export class SessionCacheError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'SessionCacheError';
+    }
+}
+
+/**
+ * Whether a parsed cache file is an encrypted envelope
+ */
+export function isEncrypted(data) {
+    return data !== null && typeof data === 'object' && data.format === FORMAT;
+}
+
+async function deriveKey(secret, salt, params) {
+    return scrypt(secret, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 });
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {any} value
+ * @param {string} secret - Key material
+ * @returns {Promise<object>} - Envelope
+ */
+export async function encryptJson(value, secret) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(secret, salt, scryptParams);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(AAD);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+        format: FORMAT,
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...scryptParams },
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt an envelope from encryptJson()
+ * @param {object} envelope
+ * @param {string} secret - Key material
+ * @param {string} file - For the error message
+ * @throws {SessionCacheError} - Wrong key or tampered/corrupted file
+ */
+export async function decryptJson(envelope, secret, file = 'session cache') {
+    try {
+        const { salt, N, r, p } = envelope.kdf;
+        const key = await deriveKey(secret, Buffer.from(salt, 'base64'), { N, r, p });
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAAD(AAD);
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new SessionCacheError(
+            `Cannot decrypt ${file}: wrong SESSION_CACHE_KEY / SESSION_CACHE_KEY_FILE, or the file is corrupted. ` +
+            'Restore the original key, or delete the file to start over (sessions must then be set again).',
+            { cause: error }
+        );
+    }
+}
+
+let keyPromise = null;
+
+/**
+ * Key material for the session cache (see header), memoized
+ * @returns {Promise<string>}
+ */
+export function getSessionCacheKey() {
+    keyPromise ??= (async () => {
+        if (process.env.SESSION_CACHE_KEY) {
+            return process.env.SESSION_CACHE_KEY;
+        }
+
+        try {
+            const key = (await fs.readFile(keyFile, 'utf8')).trim();
+            if (!key) throw new SessionCacheError(`Session cache key file is empty: ${keyFile}`);
+            return key;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const key = crypto.randomBytes(32).toString('base64');
+        await fs.mkdir(path.dirname(keyFile), { recursive: true });
+        await fs.writeFile(keyFile, key + '\n', { mode: 0o600, flag: 'wx' });
+        console.log(`[ZImage] Generated session cache key: ${keyFile} (keep it with the cache, or set SESSION_CACHE_KEY)`);
+        return key;
+    })();
+
+    keyPromise.catch(() => {
+        keyPromise = null;
+    });
+    return keyPromise;
+}
+
+/**
+ * Write a file readable only by the owner (atomic)
+ */
+export async function writePrivateFile(file, content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, content, { mode: 0o600 });
+    await fs.chmod(tmpFile, 0o600);
+    await fs.rename(tmpFile, file);
+}
@@ -0,0 +1,144 @@
+/**
+ * Background Session Refresh Scheduler
+ *
+ * Refreshes every pool account ahead of its JWT `exp` instead of waiting for
+ * the next request to find an expired session:
+ * - Refresh is due SESSION_REFRESH_AHEAD_HOURS (default 24) before expiry, minus random jitter
+ * - Failed refreshes are retried with jittered exponential backoff (1 min .. 1 h)
+ * - When an account is within SESSION_ALERT_HOURS (default 24) of expiry and its
+ *   last refresh failed, onAlert() is called (at most every SESSION_ALERT_INTERVAL_HOURS, default 6)
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Multiply by a random factor in [1 - spread, 1 + spread]
+ */
+function jitter(ms, spread = 0.2) {
+    return Math.round(ms * (1 - spread + Math.random() * spread * 2));
+}
+
+export default class SessionScheduler {
+    /**
+     * @param {object} options
+     * @param {object} options.pool - AccountPool whose clients are refreshed
+     * @param {function(string): Promise<void>} options.onAlert - Receives alert text
+     * @param {number} options.checkIntervalMs - How often accounts are checked (default: 1 min)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool;
+        this.onAlert = options.onAlert || (() => {});
+        this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+        this.refreshAheadMs = (parseFloat(process.env.SESSION_REFRESH_AHEAD_HOURS) || 24) * HOUR;
+        this.alertWithinMs = (parseFloat(process.env.SESSION_ALERT_HOURS) || 24) * HOUR;
+        this.alertIntervalMs = (parseFloat(process.env.SESSION_ALERT_INTERVAL_HOURS) || 6) * HOUR;
+        this.retryBaseMs = 60 * 1000;
+        this.retryMaxMs = HOUR;
+
+        // Per-client { key, nextAttemptAt, lastAlertAt }
+        this.state = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.checkIntervalMs);
+        this.timer.unref();
+        console.log(`[SCHEDULER] Session refresh scheduler started (refresh ${this.refreshAheadMs / HOUR}h ahead)`);
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * When the next refresh is due for a client (epoch ms)
+     */
+    nextAttemptAt(client) {
+        if (client.refreshFailures > 0 && client.lastRefresh) {
+            const backoff = Math.min(this.retryBaseMs * 2 ** (client.refreshFailures - 1), this.retryMaxMs);
+            return Date.parse(client.lastRefresh.attemptedAt) + jitter(backoff);
+        }
+
+        const expiresAt = client.getSessionExpiry();
+        if (!expiresAt) return Date.now();
+
+        // Spread refreshes over the last 10% of the lead time so accounts don't refresh in lockstep
+        return expiresAt - this.refreshAheadMs - Math.random() * this.refreshAheadMs * 0.1;
+    }
+
+    /**
+     * Check all accounts, refresh the ones that are due
+     */
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            for (const client of [...this.pool.accounts]) {
+                await this.check(client);
+            }
+        } catch (error) {
+            console.error(`[SCHEDULER] Check failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async check(client) {
+        // Re-plan whenever the token or the last attempt changed (manual update, lazy refresh)
+        const key = `${client.sessionToken}|${client.lastRefresh?.attemptedAt}`;
+        let state = this.state.get(client);
+        if (!state) {
+            state = { key: null, nextAttemptAt: 0, lastAlertAt: 0 };
+            this.state.set(client, state);
+        }
+        if (state.key !== key) {
+            state.key = key;
+            state.nextAttemptAt = this.nextAttemptAt(client);
+        }
+
+        if (client.chatToken && Date.now() >= state.nextAttemptAt) {
+            const refreshed = await client.refreshSession();
+            if (refreshed) {
+                this.pool.enable(client);
+            }
+            state.key = `${client.sessionToken}|${client.lastRefresh?.attemptedAt}`;
+            state.nextAttemptAt = this.nextAttemptAt(client);
+            console.log(`[SCHEDULER] Next refresh for ${client.id}: ${new Date(state.nextAttemptAt).toISOString()}`);
+        }
+
+        await this.maybeAlert(client, state);
+    }
+
+    /**
+     * Alert if the session is close to expiry and can't be refreshed
+     */
+    async maybeAlert(client, state) {
+        const expiresAt = client.getSessionExpiry();
+        if (!expiresAt || expiresAt - Date.now() > this.alertWithinMs) return;
+
+        const failing = !client.chatToken || client.lastRefresh?.success === false;
+        if (!failing || Date.now() - state.lastAlertAt < this.alertIntervalMs) return;
+
+        state.lastAlertAt = Date.now();
+
+        const hoursLeft = Math.round((expiresAt - Date.now()) / HOUR);
+        const reason = client.chatToken
+            ? `Refresh keeps failing (${client.refreshFailures}x): ${client.lastRefresh?.error || 'unknown error'}`
+            : 'No chat token configured, automatic refresh is not possible';
+        const message = hoursLeft > 0
+            ? `⚠️ *Session expiring*\n\nAccount: \`${client.id}\`\nExpires in: ${hoursLeft}h\n${reason}`
+            : `🚨 *Session expired*\n\nAccount: \`${client.id}\`\n${reason}`;
+
+        console.log(`[SCHEDULER] Alert for ${client.id}: ${reason}`);
+        try {
+            await this.onAlert(message);
+        } catch (error) {
+            console.error(`[SCHEDULER] Failed to send alert: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,322 @@
+/**
+ * Image Storage Backends
+ *
+ * Where generated images (and the library index) are kept. Selected with
+ * STORAGE_DRIVER:
+ * - local (default): Files in STORAGE_LOCAL_DIR (default: ./generated), served from /generated
+ * - s3: Any S3-compatible bucket (AWS S3, MinIO, R2, ...). Survives restarts on
+ *   hosts with an ephemeral filesystem (Render, Heroku, ...)
+ *
+ * S3 settings:
+ * - S3_BUCKET (required), S3_REGION (default: us-east-1), S3_PREFIX (key prefix)
+ * - S3_ENDPOINT: e.g. http://localhost:9000 for MinIO (default: AWS)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (fall back to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY)
+ * - S3_FORCE_PATH_STYLE: bucket in the path instead of the host (default: true, MinIO needs it)
+ * - STORAGE_URL_MODE: 'proxy' (default) streams images through /generated,
+ *   'presigned' hands out presigned bucket URLs valid for S3_PRESIGN_EXPIRES seconds (default: 3600)
+ *
+ * Every backend implements:
+ *   put(key, buffer, { contentType }), get(key) -> Buffer|null, delete(key),
+ *   url(key, baseUrl) -> public URL
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+
+export const urlModes = ['proxy', 'presigned'];
+
+/**
+ * Files on the local disk
+ */
+export class LocalStorage {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory for the files
+     */
+    constructor(options = {}) {
+        this.driver = 'local';
+        this.dir = options.dir || path.join(process.cwd(), 'generated');
+    }
+
+    resolve(key) {
+        const file = path.join(this.dir, key);
+        if (path.dirname(file) !== this.dir) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+    }
+
+    async put(key, buffer) {
+        const file = this.resolve(key);
+        const tmpFile = `${file}.tmp`;
+        await fs.writeFile(tmpFile, buffer);
+        await fs.rename(tmpFile, file);
+    }
+
+    async get(key) {
+        try {
+            return await fs.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    url(key, baseUrl) {
+        return `${baseUrl}/generated/${encodeURIComponent(key)}`;
+    }
+}
+
+// ===== AWS Signature V4 =====
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, '/' kept for object keys
+const encodeRfc3986 = value => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = key => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Objects in an S3-compatible bucket, signed with AWS Signature V4
+ */
+export class S3Storage {
+    /**
+     * @param {object} options
+     * @param {string} options.bucket
+     * @param {string} options.region - Default: us-east-1
+     * @param {string} options.endpoint - Default: https://s3.<region>.amazonaws.com
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} options.prefix - Prepended to every key
+     * @param {boolean} options.forcePathStyle - Default: true
+     * @param {string} options.urlMode - 'proxy' or 'presigned'
+     * @param {number} options.presignExpires - Seconds (default: 3600)
+     * @param {object} options.httpClient - axios-compatible client
+     */
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3 storage requires S3_BUCKET');
+        }
+        if (!options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 storage requires S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.driver = 's3';
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.prefix = options.prefix || '';
+        this.forcePathStyle = options.forcePathStyle ?? true;
+        this.urlMode = urlModes.includes(options.urlMode) ? options.urlMode : 'proxy';
+        this.presignExpires = options.presignExpires || 3600;
+        this.http = options.httpClient || axios;
+    }
+
+    /**
+     * Host and path of an object (key null = the bucket itself)
+     */
+    locate(key) {
+        const objectPath = key === null ? '' : encodeKey(this.prefix + key);
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+        if (this.forcePathStyle) {
+            return { host: this.endpoint.host, pathname: `${basePath}/${encodeRfc3986(this.bucket)}${objectPath ? `/${objectPath}` : ''}` };
+        }
+        return { host: `${this.bucket}.${this.endpoint.host}`, pathname: `${basePath}/${objectPath}` };
+    }
+
+    signingKey(date) {
+        const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+        return hmac(hmac(hmac(dateKey, this.region), 's3'), 'aws4_request');
+    }
+
+    /**
+     * Sign a request
+     * @param {string} method
+     * @param {string} key - Object key (without prefix)
+     * @param {object} options
+     * @param {object} options.headers - Extra headers to sign
+     * @param {object} options.query - Query parameters to sign
+     * @param {string} options.payloadHash - Hex SHA-256 of the body or 'UNSIGNED-PAYLOAD'
+     * @param {Date} options.now
+     * @returns {{ url: string, authorization: string, signature: string, canonicalRequest: string, stringToSign: string }}
+     */
+    sign(method, key, { headers = {}, query = {}, payloadHash = EMPTY_SHA256, now = new Date() } = {}) {
+        const { host, pathname } = this.locate(key);
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+
+        const allHeaders = { ...headers, host };
+        const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+        const signedHeaders = headerNames.join(';');
+
+        const canonicalQuery = Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join('&');
+
+        const canonicalRequest = [
+            method,
+            pathname,
+            canonicalQuery,
+            headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signature = crypto.createHmac('sha256', this.signingKey(date)).update(stringToSign).digest('hex');
+
+        return {
+            url: `${this.endpoint.protocol}//${host}${pathname}${canonicalQuery ? `?${canonicalQuery}` : ''}`,
+            authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+            signature,
+            canonicalRequest,
+            stringToSign
+        };
+    }
+
+    /**
+     * Send a signed request
+     */
+    async request(method, key, { body, headers = {}, responseType = 'arraybuffer' } = {}) {
+        const amzDate = new Date();
+        const payloadHash = body ? sha256(body) : EMPTY_SHA256;
+        const signedHeaders = {
+            ...headers,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate.toISOString().replace(/[:-]|\.\d{3}/g, '')
+        };
+        const { url, authorization } = this.sign(method, key, { headers: signedHeaders, payloadHash, now: amzDate });
+
+        return this.http.request({
+            method,
+            url,
+            data: body,
+            headers: { ...signedHeaders, Authorization: authorization },
+            responseType,
+            maxBodyLength: Infinity,
+            validateStatus: () => true
+        });
+    }
+
+    /**
+     * Error with the S3 error code (<Code>...</Code>) if there is one
+     */
+    static error(action, key, response) {
+        let body = response.data;
+        if (body?.pipe) {
+            body.destroy();
+            body = '';
+        }
+        const code = Buffer.from(body || '').toString().match(/<Code>([^<]+)<\/Code>/)?.[1];
+        return new Error(`S3 ${action} ${key} failed: HTTP ${response.status}${code ? ` (${code})` : ''}`);
+    }
+
+    async init() {
+        const response = await this.request('HEAD', null);
+        if (response.status >= 400) {
+            throw S3Storage.error('HEAD bucket', this.bucket, response);
+        }
+    }
+
+    async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+        const response = await this.request('PUT', key, { body: buffer, headers: { 'content-type': contentType } });
+        if (response.status >= 300) {
+            throw S3Storage.error('PUT', key, response);
+        }
+    }
+
+    async get(key) {
+        const response = await this.request('GET', key);
+        if (response.status === 404) return null;
+        if (response.status >= 300) {
+            throw S3Storage.error('GET', key, response);
+        }
+        return Buffer.from(response.data);
+    }
+
+    async delete(key) {
+        const response = await this.request('DELETE', key);
+        if (response.status >= 300 && response.status !== 404) {
+            throw S3Storage.error('DELETE', key, response);
+        }
+    }
+
+    /**
+     * Stream an object (for proxying), passing Range/conditional headers through
+     * @returns {Promise<object>} - axios response with a stream body, any status
+     */
+    open(key, headers = {}) {
+        return this.request('GET', key, { headers, responseType: 'stream' });
+    }
+
+    /**
+     * Presigned GET URL
+     */
+    presign(key, expiresIn = this.presignExpires) {
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const query = {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': expiresIn,
+            'X-Amz-SignedHeaders': 'host'
+        };
+        const { url, signature } = this.sign('GET', key, { query, payloadHash: 'UNSIGNED-PAYLOAD', now });
+        return `${url}&X-Amz-Signature=${signature}`;
+    }
+
+    url(key, baseUrl) {
+        if (this.urlMode === 'presigned') return this.presign(key);
+        return `${baseUrl}/generated/${encodeURIComponent(key)}`;
+    }
+}
+
+/**
+ * Build the backend selected by env
+ */
+export function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 'local') {
+        return new LocalStorage({ dir: env.STORAGE_LOCAL_DIR ? path.resolve(env.STORAGE_LOCAL_DIR) : undefined });
+    }
+
+    if (driver === 's3') {
+        return new S3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE !== 'false' : true,
+            urlMode: env.STORAGE_URL_MODE,
+            presignExpires: parseInt(env.S3_PRESIGN_EXPIRES) || 3600
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected local or s3)`);
+}
+
+export const storage = createStorage();
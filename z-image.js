@@ -1,19 +1,38 @@
 /**
  * Z.AI Image Generation API Client
  * Reverse-engineered from image.z.ai
- * 
+ *
  * Session token from image.z.ai cookies
  * Set via environment variable: Z_IMAGE_SESSION
- * 
+ *
  * For refresh, provide chat.z.ai token: Z_CHAT_TOKEN
+ * WAF cookies / User-Agent: Z_COOKIE_*, Z_USER_AGENT
+ *
+ * Credentials are cached encrypted in SESSION_CACHE_FILE (see secure-cache.js)
+ *
+ * Usage:
+ * - `new ZImageClient({ sessionToken, chatToken, ... })` - one client per account
+ * - `ZImage` (default export) - static facade over a default client built from env,
+ *   plus the account pool (extra accounts via ZIMAGE_ACCOUNTS_FILE, see account-pool.js)
  */
 
-import axios from 'axios';
 import fs from 'fs/promises';
-import path from 'path';
 import crypto from 'crypto';
-
-export default class ZImage {
+import AccountPool from './account-pool.js';
+import { zaiHttp } from './http-client.js';
+import { parseGenerateResponse } from './zai-response.js';
+import { sessionCacheFile, getSessionCacheKey, isEncrypted, encryptJson, decryptJson, writePrivateFile, SessionCacheError } from './secure-cache.js';
+import {
+    SessionExpiredError,
+    UpstreamRateLimitedError,
+    UpstreamUnavailableError,
+    InvalidParameterError,
+    toZImageError
+} from './errors.js';
+
+export { ZImageResponseError } from './zai-response.js';
+
+export class ZImageClient {
     static chatUrl = "https://chat.z.ai";
     static imageUrl = "https://image.z.ai";
     static clientId = "client_o3I6X8sE8SCtTHUWdMIhtg";
@@ -22,9 +41,72 @@ export default class ZImage {
     static ratios = ['1:1', '3:4', '4:3', '16:9', '9:16', '21:9', '9:21'];
     static resolutions = ['1K', '2K'];
 
-    // Auth state
-    static sessionToken = process.env.Z_IMAGE_SESSION || null;
-    static chatToken = process.env.Z_CHAT_TOKEN || null;
+    // Hosts generated images are served from: Z.AI and its OSS bucket, exact hostnames
+    // only (aliyuncs.com hosts every Aliyun customer's buckets). Hosts of the image
+    // URLs Z.AI returns are added as they come in, see generate().
+    static imageHosts = [
+        'image.z.ai',
+        'z-image-prod.oss-cn-beijing.aliyuncs.com',
+        ...(process.env.IMAGE_PROXY_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+    ];
+
+    // Hosts Z.AI has actually returned image URLs on. Only these get the session
+    // headers: /proxy/image takes URLs from anyone, and an allowed host alone must
+    // not make the server send authenticated requests for arbitrary paths.
+    static sessionImageHosts = new Set();
+
+    // Cookie names sent to image.z.ai, in order
+    static cookieNames = ['_c_WBKFRo', 'acw_tc', 'c', 'ssxmod_itna', 'ssxmod_itna2'];
+
+    // OpenAI image operations image.z.ai can do. Its generate endpoint only takes a
+    // prompt, ratio and resolution - there is no reference image / mask input.
+    static capabilities = { generations: true, edits: false, variations: false };
+
+    // Env variable for each cookie (default account)
+    static cookieEnv = {
+        _c_WBKFRo: 'Z_COOKIE_WBKFRO',
+        acw_tc: 'Z_COOKIE_ACW_TC',
+        c: 'Z_COOKIE_C',
+        ssxmod_itna: 'Z_COOKIE_SSXMOD',
+        ssxmod_itna2: 'Z_COOKIE_SSXMOD2'
+    };
+
+    // Used when no Z_USER_AGENT / account userAgent is set
+    static userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36';
+
+    /**
+     * @param {object} options
+     * @param {string} options.id - Account ID (default: 'default')
+     * @param {string} options.sessionToken - image.z.ai session token
+     * @param {string} options.chatToken - chat.z.ai token for refresh
+     * @param {object} options.cookies - Extra/WAF cookies by name (see cookieNames)
+     * @param {string} options.userAgent - User-Agent for image.z.ai requests
+     * @param {string} options.baseUrl - image.z.ai base URL (e.g. a local mock)
+     * @param {string} options.chatUrl - chat.z.ai base URL
+     * @param {string} options.cachePath - Session cache file, null to disable caching
+     * @param {string|function(): Promise<string>|null} options.cacheKey - Cache encryption key material
+     *   (default: SESSION_CACHE_KEY / key file, see secure-cache.js), null to write plaintext
+     * @param {object} options.httpClient - axios-compatible client (get/post), default: shared ResilientHttp
+     * @param {function(ZImageClient): Promise<void>} options.onSessionChange - Called after credentials change
+     */
+    constructor(options = {}) {
+        this.id = options.id || 'default';
+        this.sessionToken = options.sessionToken || null;
+        this.chatToken = options.chatToken || null;
+        this.cookies = { ...(options.cookies || {}) };
+        this.userAgent = options.userAgent;
+        this.baseUrl = (options.baseUrl || ZImageClient.imageUrl).replace(/\/+$/, '');
+        this.chatUrl = (options.chatUrl || ZImageClient.chatUrl).replace(/\/+$/, '');
+        this.clientId = options.clientId || ZImageClient.clientId;
+        this.cachePath = options.cachePath ?? null;
+        this.cacheKey = options.cacheKey === undefined ? getSessionCacheKey : options.cacheKey;
+        this.http = options.httpClient || zaiHttp;
+        this.onSessionChange = options.onSessionChange || null;
+
+        // Last refresh attempt ({ attemptedAt, success, error }) and failures in a row
+        this.lastRefresh = null;
+        this.refreshFailures = 0;
+    }
 
     /**
      * Generate random request ID
@@ -33,69 +115,135 @@ export default class ZImage {
         return crypto.randomBytes(11).toString('hex').slice(0, 21);
     }
 
+    /**
+     * Cookies set through Z_COOKIE_* env variables (see cookieEnv)
+     */
+    static cookiesFromEnv(env = process.env) {
+        const cookies = {};
+        for (const [name, variable] of Object.entries(ZImageClient.cookieEnv)) {
+            if (env[variable]) cookies[name] = env[variable].trim();
+        }
+        return cookies;
+    }
+
+    /**
+     * Decode JWT to check expiration
+     */
+    static decodeJWT(token) {
+        try {
+            const parts = token.split('.');
+            if (parts.length !== 3) return null;
+            const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+            return payload;
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Get cache file path
      */
-    static getCacheFilePath() {
-        return path.join(process.cwd(), '.zimage_session_cache.json');
+    getCacheFilePath() {
+        return this.cachePath;
+    }
+
+    /**
+     * Cache encryption key material, null for plaintext
+     */
+    async getCacheKey() {
+        return typeof this.cacheKey === 'function' ? this.cacheKey() : this.cacheKey;
     }
 
     /**
      * Load session from cache
+     * A plaintext cache (older versions) is re-written encrypted.
+     * @throws {SessionCacheError} - Cache is encrypted and the key is wrong/missing
      */
-    static async loadSessionFromCache() {
+    async loadSessionFromCache() {
+        if (!this.cachePath) return null;
+
+        let cached;
         try {
-            const cacheFilePath = this.getCacheFilePath();
-            const data = await fs.readFile(cacheFilePath, 'utf8');
-            const cached = JSON.parse(data);
+            cached = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+        } catch {
+            return null;
+        }
 
-            if (cached.sessionToken) {
-                this.sessionToken = cached.sessionToken;
-            }
-            if (cached.chatToken) {
-                this.chatToken = cached.chatToken;
+        const key = await this.getCacheKey();
+        const encrypted = isEncrypted(cached);
+        if (encrypted) {
+            if (!key) {
+                throw new SessionCacheError(`Session cache ${this.cachePath} is encrypted but no cache key is configured`);
             }
+            cached = await decryptJson(cached, key, this.cachePath);
+        }
 
-            return cached;
-        } catch {
-            return null;
+        if (cached.sessionToken) {
+            this.sessionToken = cached.sessionToken;
+        }
+        if (cached.chatToken) {
+            this.chatToken = cached.chatToken;
         }
+        if (cached.cookies) {
+            this.cookies = { ...this.cookies, ...cached.cookies };
+        }
+        if (cached.userAgent) {
+            this.userAgent = cached.userAgent;
+        }
+
+        if (key && !encrypted) {
+            await this.writeCache();
+            console.log(`[ZImage] Migrated plaintext session cache to encrypted: ${this.cachePath}`);
+        }
+
+        return cached;
     }
 
     /**
-     * Save session to cache
+     * Write credentials to the cache file (encrypted unless cacheKey is null, always 0600)
      */
-    static async saveSessionToCache() {
-        const cacheFilePath = this.getCacheFilePath();
+    async writeCache() {
         const data = {
             sessionToken: this.sessionToken,
             chatToken: this.chatToken,
+            cookies: this.cookies,
+            userAgent: this.userAgent || null,
             savedAt: new Date().toISOString()
         };
-        await fs.writeFile(cacheFilePath, JSON.stringify(data, null, 2));
+
+        const key = await this.getCacheKey();
+        const content = key ? await encryptJson(data, key) : data;
+        await writePrivateFile(this.cachePath, JSON.stringify(content, null, 2));
     }
 
     /**
-     * Decode JWT to check expiration
+     * Save session to cache and notify the owner
      */
-    static decodeJWT(token) {
-        try {
-            const parts = token.split('.');
-            if (parts.length !== 3) return null;
-            const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-            return payload;
-        } catch {
-            return null;
+    async saveSessionToCache() {
+        if (this.cachePath) {
+            await this.writeCache();
+        }
+
+        if (this.onSessionChange) {
+            await this.onSessionChange(this);
         }
     }
 
+    /**
+     * Session expiry as epoch ms, null if unknown
+     */
+    getSessionExpiry() {
+        const payload = this.sessionToken ? ZImageClient.decodeJWT(this.sessionToken) : null;
+        return payload?.exp ? payload.exp * 1000 : null;
+    }
+
     /**
      * Check if session needs refresh (expires in less than 1 day)
      */
-    static sessionNeedsRefresh() {
+    sessionNeedsRefresh() {
         if (!this.sessionToken) return true;
 
-        const payload = this.decodeJWT(this.sessionToken);
+        const payload = ZImageClient.decodeJWT(this.sessionToken);
         if (!payload || !payload.exp) return true;
 
         const expiresIn = payload.exp * 1000 - Date.now();
@@ -105,10 +253,10 @@ export default class ZImage {
     /**
      * Check if session is valid
      */
-    static isSessionValid() {
+    isSessionValid() {
         if (!this.sessionToken) return false;
 
-        const payload = this.decodeJWT(this.sessionToken);
+        const payload = ZImageClient.decodeJWT(this.sessionToken);
         if (!payload || !payload.exp) return false;
 
         return payload.exp * 1000 > Date.now();
@@ -117,14 +265,16 @@ export default class ZImage {
     /**
      * Get session info
      */
-    static getSessionInfo() {
+    getSessionInfo() {
+        const refresh = { lastRefreshAttempt: this.lastRefresh, refreshFailures: this.refreshFailures };
+
         if (!this.sessionToken) {
-            return { valid: false, error: 'No session token provided' };
+            return { valid: false, error: 'No session token provided', ...refresh };
         }
 
-        const payload = this.decodeJWT(this.sessionToken);
+        const payload = ZImageClient.decodeJWT(this.sessionToken);
         if (!payload) {
-            return { valid: false, error: 'Invalid JWT format' };
+            return { valid: false, error: 'Invalid JWT format', ...refresh };
         }
 
         const expiresAt = new Date(payload.exp * 1000);
@@ -137,14 +287,15 @@ export default class ZImage {
             expiresAt: expiresAt.toISOString(),
             expiresInDays: Math.round(expiresIn / (1000 * 60 * 60 * 24)),
             expiresInHours: Math.round(expiresIn / (1000 * 60 * 60)),
-            needsRefresh: this.sessionNeedsRefresh()
+            needsRefresh: this.sessionNeedsRefresh(),
+            ...refresh
         };
     }
 
     /**
      * Set session token manually
      */
-    static async setSession(token) {
+    async setSession(token) {
         this.sessionToken = token;
         await this.saveSessionToCache();
         return this.getSessionInfo();
@@ -153,35 +304,44 @@ export default class ZImage {
     /**
      * Set chat token for refresh capability
      */
-    static async setChatToken(token) {
+    async setChatToken(token) {
         this.chatToken = token;
         await this.saveSessionToCache();
     }
 
     /**
      * Refresh session using chat token
+     * The attempt and its result are recorded in lastRefresh (see getSessionInfo).
      */
-    static async refreshSession() {
-        if (!this.chatToken) {
-            console.log('[REFRESH] No chat token available for refresh');
+    async refreshSession() {
+        const attemptedAt = new Date().toISOString();
+        const fail = (reason) => {
+            this.lastRefresh = { attemptedAt, success: false, error: reason };
+            this.refreshFailures++;
             return false;
+        };
+
+        if (!this.chatToken) {
+            console.log(`[REFRESH] No chat token available for refresh (account: ${this.id})`);
+            return fail('No chat token available');
         }
 
-        console.log('[REFRESH] Refreshing session token...');
+        console.log(`[REFRESH] Refreshing session token (account: ${this.id})...`);
 
         try {
             // Step 1: OAuth authorize
             const state = crypto.randomBytes(12).toString('base64');
-            const oauthRes = await axios.post(
+            const oauthRes = await this.http.post(
                 `${this.chatUrl}/api/oauth/authorize`,
                 new URLSearchParams({
                     action: 'approve',
                     client_id: this.clientId,
-                    redirect_uri: 'https://image.z.ai/',
+                    redirect_uri: `${this.baseUrl}/`,
                     response_type: 'code',
                     state: state
                 }).toString(),
                 {
+                    operation: 'auth',
                     headers: {
                         'Content-Type': 'application/x-www-form-urlencoded',
                         'Authorization': `Bearer ${this.chatToken}`
@@ -192,19 +352,20 @@ export default class ZImage {
             const redirectUrl = oauthRes.data.redirect_url;
             if (!redirectUrl) {
                 console.log('[REFRESH] Failed - no redirect URL');
-                return false;
+                return fail('No redirect URL in OAuth response');
             }
 
             const authCode = new URL(redirectUrl).searchParams.get('code');
 
             // Step 2: Exchange for image token
-            const imageAuthRes = await axios.post(
-                `${this.imageUrl}/api/v1/z-image/auth`,
+            const imageAuthRes = await this.http.post(
+                `${this.baseUrl}/api/v1/z-image/auth`,
                 { code: authCode },
                 {
+                    operation: 'auth',
                     headers: {
                         'Content-Type': 'application/json',
-                        'X-Request-ID': this.generateRequestId()
+                        'X-Request-ID': ZImageClient.generateRequestId()
                     }
                 }
             );
@@ -212,134 +373,171 @@ export default class ZImage {
             const newToken = imageAuthRes.data.token;
             if (!newToken) {
                 console.log('[REFRESH] Failed - no token in response');
-                return false;
+                return fail('No token in auth response');
             }
 
             this.sessionToken = newToken;
             await this.saveSessionToCache();
 
+            this.lastRefresh = { attemptedAt, success: true, error: null };
+            this.refreshFailures = 0;
+
             console.log('[REFRESH] ✓ Session refreshed successfully');
             return true;
         } catch (error) {
-            console.log('[REFRESH] Failed:', error.response?.data?.message || error.message);
-            return false;
+            const reason = error.response?.data?.message || error.message;
+            console.log('[REFRESH] Failed:', reason);
+            return fail(reason);
         }
     }
 
     /**
      * Set specific cookie value dynamically
-     * @param {string} name - Cookie name (e.g. 'acw_tc', '_c_WBKFRo')
+     * @param {string} name - Cookie name (e.g. 'acw_tc', '_c_WBKFRo', or 'session' for the token)
      * @param {string} value - Cookie value
+     * @param {object} options
+     * @param {boolean} options.save - Persist right away (default: true)
      */
-    static async setSpecificCookie(name, value) {
-        let updated = false;
-
+    async setSpecificCookie(name, value, { save = true } = {}) {
         // Remove trailing semicolon if present
-        value = value.trim().replace(/;$/, '');
-
-        switch (name) {
-            case 'session':
-                this.sessionToken = value;
-                updated = true;
-                break;
-            case '_c_WBKFRo':
-                this.cookieWBKFRO = value;
-                updated = true;
-                break;
-            case 'acw_tc':
-                this.cookieACWTC = value;
-                updated = true;
-                break;
-            case 'c':
-                this.cookieC = value;
-                updated = true;
-                break;
-            case 'ssxmod_itna':
-                this.cookieSSXMOD = value;
-                updated = true;
-                break;
-            case 'ssxmod_itna2':
-                this.cookieSSXMOD2 = value;
-                updated = true;
-                break;
-            default:
-                console.log(`[ZImage] Unknown cookie: ${name}`);
-        }
-
-        if (updated) {
-            console.log(`[ZImage] Updated cookie: ${name}`);
-            // We could save to cache here if we want persistence
-            // await this.saveSessionToCache(); 
-        }
-        return updated;
-    }
-
-    /**
-     * Import cookies from Netscape format text (cookies.txt)
-     * @param {string} text - Content of cookies.txt
+        value = String(value).trim().replace(/;$/, '');
+
+        if (name === 'session') {
+            this.sessionToken = value;
+        } else if (ZImageClient.cookieNames.includes(name)) {
+            this.cookies[name] = value;
+        } else {
+            console.log(`[ZImage] Unknown cookie: ${name}`);
+            return false;
+        }
+
+        console.log(`[ZImage] Updated cookie: ${name} (account: ${this.id})`);
+        if (save) {
+            await this.saveSessionToCache();
+        }
+        return true;
+    }
+
+    /**
+     * Parse cookies from any supported export format:
+     * - Netscape cookies.txt (tab-separated, incl. #HttpOnly_ lines)
+     * - key=value lines, or a Cookie header ("a=1; b=2")
+     * - Browser-extension JSON: [{ name, value, domain, ... }] or { name: value }
+     * @param {string|Array|object} input
+     * @returns {Array<{ name: string, value: string }>}
      */
-    static async importCookiesFromText(text) {
-        const lines = text.split('\n');
-        let count = 0;
+    static parseCookies(input) {
+        if (typeof input === 'string' && /^\s*[[{]/.test(input)) {
+            try {
+                input = JSON.parse(input);
+            } catch {
+                throw new InvalidParameterError('Cookies look like JSON but could not be parsed', 'cookies');
+            }
+        }
+
+        // Exports often include other sites' cookies
+        const isZaiDomain = domain => !domain || /(^|\.)z\.ai$/.test(domain.replace(/^\./, ''));
 
-        for (const line of lines) {
-            if (!line || line.startsWith('#')) continue;
+        if (Array.isArray(input)) {
+            return input
+                .filter(cookie => cookie && typeof cookie.name === 'string' && cookie.value !== undefined)
+                .filter(cookie => isZaiDomain(cookie.domain))
+                .map(cookie => ({ name: cookie.name, value: String(cookie.value) }));
+        }
+        if (input && typeof input === 'object') {
+            return Object.entries(input).map(([name, value]) => ({ name, value: String(value) }));
+        }
+        if (typeof input !== 'string') {
+            throw new InvalidParameterError('Cookies must be text, a JSON cookie array or an object', 'cookies');
+        }
+
+        const cookies = [];
+        for (let line of input.split(/\r?\n/)) {
+            line = line.replace(/^#HttpOnly_/, '');
+            if (!line.trim() || line.startsWith('#')) continue;
 
-            // Try Netscape format (7 columns)
-            // domain flag path secure expiration name value
+            // Netscape format: domain flag path secure expiration name value
             const parts = line.split('\t');
             if (parts.length >= 7) {
-                const name = parts[5];
-                const value = parts[6];
-                if (await this.setSpecificCookie(name, value)) {
-                    count++;
+                if (isZaiDomain(parts[0])) {
+                    cookies.push({ name: parts[5], value: parts[6] });
                 }
+                continue;
             }
-            // Try simple key=value format
-            else if (line.includes('=')) {
-                // Determine split point (first = only)
-                const idx = line.indexOf('=');
-                const name = line.substring(0, idx).trim();
-                const value = line.substring(idx + 1).trim();
-                if (await this.setSpecificCookie(name, value)) {
-                    count++;
+
+            // key=value, possibly several per line (Cookie header)
+            for (const pair of line.split(';')) {
+                const idx = pair.indexOf('=');
+                if (idx > 0) {
+                    cookies.push({ name: pair.substring(0, idx).trim(), value: pair.substring(idx + 1).trim() });
                 }
             }
         }
+        return cookies;
+    }
+
+    /**
+     * Import cookies (see parseCookies for formats) and persist them once
+     * Unknown cookie names are skipped.
+     * @param {string|Array|object} input
+     * @returns {Promise<{ imported: string[], skipped: string[] }>}
+     */
+    async importCookies(input) {
+        const imported = [];
+        const skipped = [];
+
+        for (const { name, value } of ZImageClient.parseCookies(input)) {
+            if (await this.setSpecificCookie(name, value, { save: false })) {
+                imported.push(name);
+            } else {
+                skipped.push(name);
+            }
+        }
 
-        return count;
+        if (imported.length > 0) {
+            await this.saveSessionToCache();
+        }
+        return { imported, skipped };
+    }
+
+    /**
+     * Import cookies from Netscape format text (cookies.txt) or key=value lines
+     * @param {string} text - Content of cookies.txt
+     * @returns {Promise<number>} - Number of cookies imported
+     */
+    async importCookiesFromText(text) {
+        const { imported } = await this.importCookies(text);
+        return imported.length;
     }
 
     /**
      * Common headers for requests
      */
-    static getHeaders() {
-        // Construct cookie string from specific variables
+    getHeaders() {
+        // Construct cookie string from the account's cookies
         const cookies = [];
 
         // Always add session if present
         if (this.sessionToken) cookies.push(`session=${this.sessionToken}`);
 
         // Add optional/WAF cookies if provided
-        if (this.cookieWBKFRO) cookies.push(`_c_WBKFRo=${this.cookieWBKFRO}`);
-        if (this.cookieACWTC) cookies.push(`acw_tc=${this.cookieACWTC}`);
-        if (this.cookieC) cookies.push(`c=${this.cookieC}`);
-        if (this.cookieSSXMOD) cookies.push(`ssxmod_itna=${this.cookieSSXMOD}`);
-        if (this.cookieSSXMOD2) cookies.push(`ssxmod_itna2=${this.cookieSSXMOD2}`);
+        for (const name of ZImageClient.cookieNames) {
+            if (this.cookies[name]) cookies.push(`${name}=${this.cookies[name]}`);
+        }
 
         return {
             'Accept': '*/*',
             'Content-Type': 'application/json',
-            'User-Agent': this.userAgent,
+            'User-Agent': this.userAgent || ZImageClient.userAgent,
             'sec-ch-ua': '"Not(A:Brand";v="8", "Chromium";v="144"',
             'sec-ch-ua-mobile': '?0',
             'sec-ch-ua-platform': '"Windows"',
             'Sec-Fetch-Dest': 'empty',
             'Sec-Fetch-Mode': 'cors',
             'Sec-Fetch-Site': 'same-origin',
-            'Origin': 'https://image.z.ai',
-            'Referer': 'https://image.z.ai/',
-            'X-Request-ID': this.generateRequestId(),
+            'Origin': this.baseUrl,
+            'Referer': `${this.baseUrl}/`,
+            'X-Request-ID': ZImageClient.generateRequestId(),
             'Cookie': cookies.join('; ')
         };
     }
@@ -347,7 +545,7 @@ export default class ZImage {
     /**
      * Initialize - load from cache and attempt refresh if needed
      */
-    static async initialize() {
+    async initialize() {
         await this.loadSessionFromCache();
 
         if (this.sessionNeedsRefresh() && this.chatToken) {
@@ -360,7 +558,7 @@ export default class ZImage {
     /**
      * Ensure session is valid
      */
-    static async ensureSession() {
+    async ensureSession() {
         // Try loading from cache if no session
         if (!this.sessionToken) {
             await this.loadSessionFromCache();
@@ -370,11 +568,23 @@ export default class ZImage {
         if (!this.isSessionValid() || this.sessionNeedsRefresh()) {
             const refreshed = await this.refreshSession();
             if (!refreshed && !this.isSessionValid()) {
-                throw new Error('Session expired. Please provide a fresh session token via setSession() or Z_IMAGE_SESSION env var.');
+                throw new SessionExpiredError();
             }
         }
     }
 
+    /**
+     * Check ratio/resolution, throws InvalidParameterError
+     */
+    static validateOptions({ ratio = '1:1', resolution = '1K' } = {}) {
+        if (!ZImageClient.ratios.includes(ratio)) {
+            throw new InvalidParameterError(`Invalid ratio: ${ratio}. Valid: ${ZImageClient.ratios.join(', ')}`, 'ratio');
+        }
+        if (!ZImageClient.resolutions.includes(resolution)) {
+            throw new InvalidParameterError(`Invalid resolution: ${resolution}. Valid: ${ZImageClient.resolutions.join(', ')}`, 'resolution');
+        }
+    }
+
     /**
      * Generate image
      * @param {string} prompt - The image prompt
@@ -382,40 +592,46 @@ export default class ZImage {
      * @param {string} options.ratio - Aspect ratio (default: '1:1')
      * @param {string} options.resolution - Resolution '1K' or '2K' (default: '1K')
      * @param {boolean} options.noWatermark - Remove watermark (default: true)
+     * @param {function(string, object)} options.onProgress - Progress callback ('session_checked', 'submitted')
+     * @returns {Promise<object>} - Normalized result { id, images, prompt, ratio, resolution, seed, moderation, raw }
      */
-    static async generate(prompt, options = {}) {
-        await this.ensureSession();
+    async generate(prompt, options = {}) {
+        const onProgress = options.onProgress || (() => {});
 
         const ratio = options.ratio || '1:1';
         const resolution = options.resolution || '1K';
         const noWatermark = options.noWatermark !== false;
 
-        // Validate options
-        if (!this.ratios.includes(ratio)) {
-            throw new Error(`Invalid ratio: ${ratio}. Valid: ${this.ratios.join(', ')}`);
-        }
-        if (!this.resolutions.includes(resolution)) {
-            throw new Error(`Invalid resolution: ${resolution}. Valid: ${this.resolutions.join(', ')}`);
-        }
+        ZImageClient.validateOptions({ ratio, resolution });
+
+        await this.ensureSession();
+        onProgress('session_checked', { valid: this.isSessionValid(), account: this.id });
 
-        console.log(`[GENERATE] Creating image...`);
+        console.log(`[GENERATE] Creating image... (account: ${this.id})`);
         console.log(`           Prompt: "${prompt.slice(0, 50)}${prompt.length > 50 ? '...' : ''}"`);
         console.log(`           Ratio: ${ratio}, Resolution: ${resolution}`);
 
-        const response = await axios.post(
-            `${this.imageUrl}/api/proxy/images/generate`,
+        onProgress('submitted', { ratio, resolution });
+
+        const response = await this.http.post(
+            `${this.baseUrl}/api/proxy/images/generate`,
             {
                 prompt: prompt,
                 ratio: ratio,
                 resolution: resolution,
                 rm_label_watermark: noWatermark
             },
-            { headers: this.getHeaders() }
-        );
+            { operation: 'generate', headers: this.getHeaders() }
+        ).catch(error => { throw toZImageError(error); });
 
-        console.log(`[GENERATE] ✓ Image created`);
+        // Throws ZImageResponseError if the response doesn't look like a generated image
+        const result = parseGenerateResponse(response.data, { prompt, ratio, resolution, baseUrl: this.baseUrl });
+        for (const image of result.images) {
+            ZImageClient.addImageHost(image.url);
+        }
+        console.log(`[GENERATE] ✓ Image created (${result.images.length} image${result.images.length === 1 ? '' : 's'}, id: ${result.id || 'unknown'})`);
 
-        return response.data;
+        return result;
     }
 
     /**
@@ -423,16 +639,16 @@ export default class ZImage {
      * @param {number} page - Page number (default: 1)
      * @param {number} pageSize - Items per page (default: 20)
      */
-    static async list(page = 1, pageSize = 20) {
+    async list(page = 1, pageSize = 20) {
         await this.ensureSession();
 
-        const response = await axios.get(
-            `${this.imageUrl}/api/proxy/images/list`,
+        const response = await this.http.get(
+            `${this.baseUrl}/api/proxy/images/list`,
             {
                 params: { page, page_size: pageSize },
                 headers: this.getHeaders()
             }
-        );
+        ).catch(error => { throw toZImageError(error); });
 
         return response.data;
     }
@@ -441,56 +657,457 @@ export default class ZImage {
      * Get image by ID
      * @param {string} imageId - Image ID
      */
-    static async get(imageId) {
+    async get(imageId) {
         await this.ensureSession();
 
-        const response = await axios.get(
-            `${this.imageUrl}/api/proxy/images/${imageId}`,
+        const response = await this.http.get(
+            `${this.baseUrl}/api/proxy/images/${imageId}`,
             { headers: this.getHeaders() }
-        );
+        ).catch(error => { throw toZImageError(error); });
 
         return response.data;
     }
 
     /**
-     * Download image and return as Base64
+     * Allow the host of an image URL Z.AI returned (e.g. another OSS bucket)
+     * @param {string} url - Image URL from a Z.AI response
+     */
+    static addImageHost(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch {
+            return;
+        }
+        ZImageClient.sessionImageHosts.add(hostname);
+        if (!ZImageClient.imageHosts.includes(hostname)) {
+            console.log(`[PROXY] Allowing image host ${hostname} (returned by Z.AI)`);
+            ZImageClient.imageHosts.push(hostname);
+        }
+    }
+
+    /**
+     * Check if URL points at an allowed image host (imageHosts or this client's base URL)
+     * @param {string} url - Image URL
+     */
+    isImageHostAllowed(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return false;
+        }
+
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+
+        const hostname = parsed.hostname.toLowerCase();
+        const hosts = [...ZImageClient.imageHosts, new URL(this.baseUrl).hostname];
+        return hosts.includes(hostname);
+    }
+
+    /**
+     * Headers for fetching a generated image
+     * Session headers only go to hosts in sessionImageHosts.
      * @param {string} url - Image URL
-     * @returns {Promise<string>} - Base64 string
      */
-    static async downloadAsBase64(url) {
+    getImageHeaders(url) {
+        // OSS URLs must NOT get the API headers: they carry Origin/Cookies for the
+        // API domain, which causes 403 Forbidden on Aliyun OSS
+        const isExternal = url.includes('aliyuncs.com') || url.includes('oss-cn');
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch {
+            // Unparseable URLs never get the session
+        }
+
+        return isExternal || !ZImageClient.sessionImageHosts.has(hostname) ? {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+            'Referer': 'https://image.z.ai/' // Sometimes helps, sometimes hurts. Safe bet for OSS usually.
+        } : this.getHeaders();
+    }
+
+    /**
+     * Fetch a generated image, retrying without headers on 403
+     * @param {string} url - Image URL
+     * @param {object} options - Request options
+     * @param {string} options.responseType - Axios response type (default: 'arraybuffer')
+     * @param {object} options.headers - Extra headers (e.g. Range), sent on retry as well
+     */
+    async fetchImage(url, options = {}) {
+        const extraHeaders = options.headers || {};
+        const config = {
+            operation: 'download',
+            responseType: options.responseType || 'arraybuffer',
+            // Never follow a redirect off the allowlist
+            beforeRedirect: (redirect) => {
+                if (!this.isImageHostAllowed(`${redirect.protocol}//${redirect.hostname}/`)) {
+                    throw new Error(`Redirect to disallowed host: ${redirect.hostname}`);
+                }
+            }
+        };
+
         try {
-            // Check if it's an OSS URL (or external)
-            // If so, do NOT use 	"toolName": shared.TaskBoundaryToolName, headers as they contain Host/Origin/Cookies for the API domain
-            // which will cause 403 Forbidden on Aliyun OSS
-            const isExternal = url.includes('aliyuncs.com') || url.includes('oss-cn');
-
-            const headers = isExternal ? {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-                'Referer': 'https://image.z.ai/' // Sometimes helps, sometimes hurts. Safe bet for OSS usually.
-            } : this.getHeaders();
-
-            const response = await axios.get(url, {
-                headers: headers,
-                responseType: 'arraybuffer'
+            return await this.http.get(url, {
+                ...config,
+                headers: { ...this.getImageHeaders(url), ...extraHeaders }
             });
+        } catch (error) {
+            if (!error.response || error.response.status !== 403) throw error;
+
+            // Retry without Referer if 403
+            console.log('[ZImage] Retrying download without headers...');
+            error.response.data?.destroy?.();
+            return this.http.get(url, { ...config, headers: extraHeaders });
+        }
+    }
 
+    /**
+     * Download image and return as Base64
+     * @param {string} url - Image URL
+     * @returns {Promise<string>} - Base64 string
+     */
+    async downloadAsBase64(url) {
+        try {
+            const response = await this.fetchImage(url);
             return Buffer.from(response.data, 'binary').toString('base64');
         } catch (error) {
             console.error('[ZImage] Failed to download image for Base64 conversion:', error.message);
-            // Retry without Referer if 403
-            if (error.response && error.response.status === 403) {
-                try {
-                    console.log('[ZImage] Retrying download without headers...');
-                    const response = await axios.get(url, {
-                        responseType: 'arraybuffer'
-                    });
-                    return Buffer.from(response.data, 'binary').toString('base64');
-                } catch (retryErr) {
-                    console.error('[ZImage] Retry failed:', retryErr.message);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Static facade over a default client + the account pool
+ * Keeps the original `ZImage.generate(...)` style API working.
+ */
+export default class ZImage {
+    static chatUrl = ZImageClient.chatUrl;
+    static clientId = ZImageClient.clientId;
+    static ratios = ZImageClient.ratios;
+    static resolutions = ZImageClient.resolutions;
+    static imageHosts = ZImageClient.imageHosts;
+    static cookieNames = ZImageClient.cookieNames;
+    static capabilities = ZImageClient.capabilities;
+
+    // Default account (Z_IMAGE_SESSION / session cache)
+    static client = new ZImageClient({
+        id: 'default',
+        sessionToken: process.env.Z_IMAGE_SESSION,
+        chatToken: process.env.Z_CHAT_TOKEN,
+        cookies: ZImageClient.cookiesFromEnv(),
+        userAgent: process.env.Z_USER_AGENT,
+        baseUrl: process.env.Z_IMAGE_BASE_URL,
+        cachePath: sessionCacheFile
+    });
+
+    // All accounts, default first
+    static pool = new AccountPool({
+        file: process.env.ZIMAGE_ACCOUNTS_FILE,
+        strategy: process.env.ZIMAGE_ACCOUNT_STRATEGY,
+        cooldownMs: (parseInt(process.env.ZIMAGE_ACCOUNT_COOLDOWN) || 300) * 1000,
+        createClient: (data) => new ZImageClient({
+            ...data,
+            baseUrl: this.client.baseUrl,
+            chatUrl: this.client.chatUrl,
+            httpClient: this.client.http,
+            onSessionChange: () => this.pool.save()
+        })
+    });
+
+    static {
+        this.pool.add(this.client, { persist: false });
+    }
+
+    static get imageUrl() {
+        return this.client.baseUrl;
+    }
+
+    static get sessionToken() {
+        return this.client.sessionToken;
+    }
+
+    static set sessionToken(token) {
+        this.client.sessionToken = token;
+    }
+
+    static get chatToken() {
+        return this.client.chatToken;
+    }
+
+    static set chatToken(token) {
+        this.client.chatToken = token;
+    }
+
+    static generateRequestId() {
+        return ZImageClient.generateRequestId();
+    }
+
+    static decodeJWT(token) {
+        return ZImageClient.decodeJWT(token);
+    }
+
+    static getCacheFilePath() {
+        return this.client.getCacheFilePath();
+    }
+
+    static loadSessionFromCache() {
+        return this.client.loadSessionFromCache();
+    }
+
+    static saveSessionToCache() {
+        return this.client.saveSessionToCache();
+    }
+
+    static sessionNeedsRefresh() {
+        return this.client.sessionNeedsRefresh();
+    }
+
+    static isSessionValid() {
+        return this.client.isSessionValid();
+    }
+
+    static getSessionInfo() {
+        return this.client.getSessionInfo();
+    }
+
+    static refreshSession() {
+        return this.client.refreshSession();
+    }
+
+    static ensureSession() {
+        return this.client.ensureSession();
+    }
+
+    static setSpecificCookie(name, value) {
+        return this.client.setSpecificCookie(name, value);
+    }
+
+    static importCookiesFromText(text) {
+        return this.client.importCookiesFromText(text);
+    }
+
+    static getHeaders() {
+        return this.client.getHeaders();
+    }
+
+    static isImageHostAllowed(url) {
+        return this.client.isImageHostAllowed(url);
+    }
+
+    static getImageHeaders(url) {
+        return this.client.getImageHeaders(url);
+    }
+
+    static fetchImage(url, options) {
+        return this.client.fetchImage(url, options);
+    }
+
+    static downloadAsBase64(url) {
+        return this.client.downloadAsBase64(url);
+    }
+
+    /**
+     * Resolve client by account ID, default client if omitted
+     * @param {string} accountId - Account ID
+     */
+    static getAccount(accountId) {
+        if (!accountId) return this.client;
+
+        const client = this.pool.get(accountId);
+        if (!client) {
+            throw new Error(`Unknown account: ${accountId}`);
+        }
+        return client;
+    }
+
+    /**
+     * Set session token manually
+     * @param {string} token - Session token
+     * @param {string} accountId - Account ID (default account if omitted)
+     */
+    static async setSession(token, accountId) {
+        const client = this.getAccount(accountId);
+        const info = await client.setSession(token);
+        this.pool.enable(client);
+        return info;
+    }
+
+    /**
+     * Set chat token for refresh capability
+     * @param {string} token - chat.z.ai token
+     * @param {string} accountId - Account ID (default account if omitted)
+     */
+    static async setChatToken(token, accountId) {
+        const client = this.getAccount(accountId);
+        await client.setChatToken(token);
+        this.pool.enable(client);
+    }
+
+    /**
+     * Import cookies (cookies.txt, key=value or browser JSON) into an account
+     * @param {string|Array|object} input - See ZImageClient.parseCookies
+     * @param {string} accountId - Account ID (default account if omitted)
+     * @returns {Promise<{ imported: string[], skipped: string[] }>}
+     */
+    static async importCookies(input, accountId) {
+        const client = this.getAccount(accountId);
+        const result = await client.importCookies(input);
+        if (result.imported.length > 0) {
+            this.pool.enable(client);
+        }
+        return result;
+    }
+
+    /**
+     * Add or update a pool account and persist it
+     * @param {object} data - { id, sessionToken, chatToken, cookies, userAgent }
+     */
+    static async upsertAccount(data) {
+        if (data.id === this.client.id) {
+            throw new Error('Use setSession()/setChatToken() for the default account');
+        }
+        const client = this.pool.upsert(data);
+        await this.pool.save();
+        return client;
+    }
+
+    /**
+     * Remove a pool account and persist the change
+     */
+    static async removeAccount(accountId) {
+        const removed = this.pool.remove(accountId);
+        if (removed) await this.pool.save();
+        return removed;
+    }
+
+    /**
+     * Get per-account session and health status
+     */
+    static getPoolStatus() {
+        return this.pool.accounts.map(client => ({
+            id: client.id,
+            available: this.pool.isAvailable(client),
+            hasChatToken: !!client.chatToken,
+            cookies: Object.keys(client.cookies),
+            session: client.getSessionInfo(),
+            health: { ...this.pool.getHealth(client) }
+        }));
+    }
+
+    /**
+     * Circuit breaker state for image.z.ai plus all hosts the HTTP client has seen
+     * @returns {{ state: string, circuits: object[] }} - state: 'closed', 'half_open' or 'open'
+     */
+    static getUpstreamStatus() {
+        const circuits = this.client.http.getStatus?.() || [];
+        const zaiHost = new URL(this.client.baseUrl).host;
+        return {
+            state: circuits.find(circuit => circuit.host === zaiHost)?.state || 'closed',
+            circuits
+        };
+    }
+
+    /**
+     * Initialize - load default session and accounts file, attempt refresh if needed
+     */
+    static async initialize() {
+        await this.client.initialize();
+        await this.pool.load();
+
+        for (const client of this.pool.accounts) {
+            if (client !== this.client && client.sessionNeedsRefresh() && client.chatToken) {
+                await client.refreshSession();
+            }
+        }
+
+        return this.getSessionInfo();
+    }
+
+    /**
+     * Run a request on pool accounts, failing over to the next account on an
+     * expired/rejected session, a rate limit or a WAF block
+     * @param {function(ZImageClient): Promise<any>} request - Receives the client to use
+     */
+    static async withAccount(request) {
+        const tried = [];
+        let lastError = null;
+
+        for (;;) {
+            const client = this.pool.select(tried);
+            if (!client) {
+                if (lastError) throw lastError;
+                throw this.noAccountError();
+            }
+            tried.push(client.id);
+
+            try {
+                const result = await request(client);
+                this.pool.markSuccess(client);
+                return result;
+            } catch (error) {
+                const rateLimited = error instanceof UpstreamRateLimitedError;
+                if (!rateLimited && !(error instanceof SessionExpiredError) && error.code !== 'upstream_blocked') {
+                    throw error;
                 }
+
+                this.pool.markFailure(client, {
+                    status: rateLimited ? 429 : error.upstreamStatus,
+                    message: error.message,
+                    retryAfterMs: error.retryAfter > 0 ? error.retryAfter * 1000 : undefined
+                });
+                lastError = error;
             }
-            throw error;
         }
     }
+
+    /**
+     * Error for when no pool account can take a request
+     */
+    static noAccountError() {
+        if (this.pool.accounts.every(c => !c.sessionToken && !c.chatToken)) {
+            return new SessionExpiredError();
+        }
+
+        // Retry once the first cooldown ends
+        const cooldownEnds = this.pool.accounts
+            .map(c => Date.parse(this.pool.getHealth(c).disabledUntil))
+            .filter(time => time > Date.now());
+        if (cooldownEnds.length === 0) {
+            return new UpstreamUnavailableError('No Z.AI account available - all accounts are disabled.', { status: 503 });
+        }
+
+        const retryAfter = Math.ceil((Math.min(...cooldownEnds) - Date.now()) / 1000);
+        return new UpstreamRateLimitedError('All Z.AI accounts are rate limited - cooling down.', { retryAfter });
+    }
+
+    /**
+     * Generate image on the next pool account (see ZImageClient#generate)
+     */
+    static async generate(prompt, options = {}) {
+        // Bad options fail before an account is picked
+        ZImageClient.validateOptions(options);
+        return this.withAccount(client => client.generate(prompt, options));
+    }
+
+    /**
+     * List generated images
+     * @param {number} page - Page number (default: 1)
+     * @param {number} pageSize - Items per page (default: 20)
+     * @param {string} accountId - Account to list (default account if omitted)
+     */
+    static list(page = 1, pageSize = 20, accountId) {
+        return this.getAccount(accountId).list(page, pageSize);
+    }
+
+    /**
+     * Get image by ID
+     * @param {string} imageId - Image ID
+     * @param {string} accountId - Account that owns the image (default account if omitted)
+     */
+    static get(imageId, accountId) {
+        return this.getAccount(accountId).get(imageId);
+    }
 }
@@ -0,0 +1,148 @@
+/**
+ * Z.AI Generate Response Parser
+ *
+ * Turns the body of POST /api/proxy/images/generate into one normalized shape:
+ *   { id, images: [{ id, url, width, height, seed }], prompt, ratio, resolution,
+ *     seed, moderation, raw }
+ *
+ * Known response shapes:
+ * - { code: 0, data: { image: { image_id, image_url, width, height, prompt, ratio, resolution, seed } } }
+ * - { code: 0, data: { images: [{ image_id, image_url | url, width, height }], prompt, ... } }
+ * - { data: { image_url | url, ... } } / { image_url | url, ... } (older flat responses)
+ * - { code: <non-zero>, msg | message } -> error reported by Z.AI
+ *
+ * Anything else throws ZImageResponseError so a schema change shows up as a
+ * clear error instead of a silently missing image. Z.AI errors that look like
+ * moderation or rate limiting become ContentRejectedError / UpstreamRateLimitedError.
+ */
+
+import { UpstreamUnavailableError, ContentRejectedError, classifyUpstreamMessage } from './errors.js';
+
+export class ZImageResponseError extends UpstreamUnavailableError {
+    static code = 'unexpected_upstream_response';
+
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {any} details.raw - Response body
+     * @param {number|string} details.upstreamCode - Z.AI `code` when it reported an error
+     */
+    constructor(message, { raw, upstreamCode = null } = {}) {
+        super(message);
+        this.raw = raw;
+        this.upstreamCode = upstreamCode;
+    }
+}
+
+// Keys Z.AI uses for content moderation results
+const moderationKeys = ['moderation', 'nsfw', 'is_nsfw', 'flagged', 'censored', 'audit_status'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toNumber = value => (value === undefined || value === null || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Pick moderation fields from an object, null if there are none
+ */
+function pickModeration(...sources) {
+    const moderation = {};
+    for (const source of sources) {
+        if (!isObject(source)) continue;
+        for (const key of moderationKeys) {
+            if (source[key] !== undefined && moderation[key] === undefined) {
+                moderation[key] = source[key];
+            }
+        }
+    }
+    return Object.keys(moderation).length > 0 ? moderation : null;
+}
+
+/**
+ * Whether moderation fields say the content was blocked
+ */
+function isFlagged(moderation) {
+    if (!moderation) return false;
+    return Object.entries(moderation).some(([key, value]) => key === 'audit_status'
+        ? /reject|block|fail/i.test(String(value))
+        : value === true || value === 1 || (isObject(value) && (value.flagged === true || value.blocked === true)));
+}
+
+/**
+ * Normalize one image entry
+ */
+function parseImage(image, raw, baseUrl) {
+    if (!isObject(image)) {
+        throw new ZImageResponseError(`Unexpected Z.AI response: image entry is ${Array.isArray(image) ? 'an array' : typeof image}`, { raw });
+    }
+
+    let url = image.image_url ?? image.url;
+    if (typeof url === 'string' && url.startsWith('/') && baseUrl) {
+        url = new URL(url, baseUrl).href;
+    }
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+        throw new ZImageResponseError(`Unexpected Z.AI response: image has no URL (keys: ${Object.keys(image).join(', ') || 'none'})`, { raw });
+    }
+
+    return {
+        id: image.image_id ?? image.id ?? null,
+        url,
+        width: toNumber(image.width),
+        height: toNumber(image.height),
+        seed: toNumber(image.seed)
+    };
+}
+
+/**
+ * Parse a generate response
+ * @param {any} body - Response body
+ * @param {object} request - What was sent (fills in fields the response omits)
+ * @param {string} request.prompt
+ * @param {string} request.ratio
+ * @param {string} request.resolution
+ * @param {string} request.baseUrl - Resolves relative image URLs
+ * @returns {object} - Normalized result
+ * @throws {ZImageResponseError|ContentRejectedError|UpstreamRateLimitedError}
+ */
+export function parseGenerateResponse(body, request = {}) {
+    if (!isObject(body)) {
+        throw new ZImageResponseError(`Unexpected Z.AI response: expected a JSON object, got ${body === null ? 'null' : typeof body}`, { raw: body });
+    }
+
+    if (body.code !== undefined && body.code !== 0 && body.code !== 200 && body.code !== '0') {
+        const message = body.msg || body.message || 'no message';
+        throw classifyUpstreamMessage(message)
+            || new ZImageResponseError(`Z.AI error ${body.code}: ${message}`, { raw: body, upstreamCode: body.code });
+    }
+
+    const data = isObject(body.data) ? body.data : body;
+
+    let entries;
+    if (Array.isArray(data.images)) {
+        entries = data.images;
+    } else if (isObject(data.image)) {
+        entries = [data.image];
+    } else if (data.image_url !== undefined || data.url !== undefined) {
+        entries = [data];
+    } else if (isFlagged(pickModeration(data, body))) {
+        throw new ContentRejectedError();
+    } else {
+        throw new ZImageResponseError(`Unexpected Z.AI response: no image found (keys: ${Object.keys(data).join(', ') || 'none'})`, { raw: body });
+    }
+
+    if (entries.length === 0) {
+        throw new ZImageResponseError('Unexpected Z.AI response: empty image list', { raw: body });
+    }
+
+    const images = entries.map(image => parseImage(image, body, request.baseUrl));
+    const first = entries[0];
+
+    return {
+        id: images[0].id ?? data.id ?? body.id ?? null,
+        images,
+        prompt: first.prompt ?? data.prompt ?? request.prompt ?? null,
+        ratio: first.ratio ?? data.ratio ?? request.ratio ?? null,
+        resolution: first.resolution ?? data.resolution ?? request.resolution ?? null,
+        seed: images[0].seed ?? toNumber(data.seed),
+        moderation: pickModeration(first, data, body),
+        raw: body
+    };
+}
@@ -0,0 +1,148 @@
+/**
+ * Minimal ZIP Writer
+ *
+ * Streams a ZIP archive (stored entries, no compression - images are compressed
+ * already) to a writable stream, one file at a time, so large batches never sit
+ * in memory. No ZIP64: archives are limited to 4 GB and 65535 files.
+ */
+
+const crcTable = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * CRC-32 (as used by ZIP and PNG)
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields (local time, 2-second precision)
+ */
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    /**
+     * @param {import('stream').Writable} stream - e.g. an Express response
+     */
+    constructor(stream) {
+        this.stream = stream;
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Write a chunk, waiting for the stream to drain when its buffer is full
+     * Rejects once the stream is destroyed (e.g. the client disconnected) - a
+     * closed stream never drains.
+     */
+    async write(chunk) {
+        if (this.stream.destroyed) {
+            throw new Error('ZIP stream closed');
+        }
+
+        this.offset += chunk.length;
+        if (!this.stream.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    this.stream.off('drain', onDrain);
+                    this.stream.off('error', onError);
+                    this.stream.off('close', onClose);
+                };
+                const onDrain = () => { cleanup(); resolve(); };
+                const onError = (error) => { cleanup(); reject(error); };
+                const onClose = () => { cleanup(); reject(new Error('ZIP stream closed')); };
+                this.stream.on('drain', onDrain);
+                this.stream.on('error', onError);
+                this.stream.on('close', onClose);
+
+                // Closed between write() and here
+                if (this.stream.destroyed) onClose();
+            });
+        }
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive, '/'-separated
+     * @param {Buffer} data
+     * @param {Date} modified
+     */
+    async addFile(name, data, modified = new Date()) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        if (this.entries.length >= 0xffff || this.offset + 30 + nameBuffer.length + data.length > 0xffffffff) {
+            throw new Error('ZIP archive too large (no ZIP64 support)');
+        }
+
+        const { time, date } = dosDateTime(modified);
+        const entry = { nameBuffer, crc: crc32(data), size: data.length, time, date, offset: this.offset };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);  // Local file header signature
+        header.writeUInt16LE(20, 4);          // Version needed (2.0)
+        header.writeUInt16LE(0x0800, 6);      // Flags: UTF-8 names
+        header.writeUInt16LE(0, 8);           // Method: stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.size, 18); // Compressed size
+        header.writeUInt32LE(entry.size, 22); // Uncompressed size
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);          // Extra field length
+
+        await this.write(Buffer.concat([header, nameBuffer]));
+        await this.write(data);
+        this.entries.push(entry);
+    }
+
+    /**
+     * Write the central directory (the archive is unreadable without it)
+     */
+    async finish() {
+        const directoryOffset = this.offset;
+
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);  // Central directory header signature
+            header.writeUInt16LE(0x0314, 4);      // Made by: Unix, version 2.0
+            header.writeUInt16LE(20, 6);          // Version needed
+            header.writeUInt16LE(0x0800, 8);      // Flags: UTF-8 names
+            header.writeUInt16LE(0, 10);          // Method: stored
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.size, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBuffer.length, 28);
+            // Extra, comment, disk number, internal attributes: 0
+            header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // External attributes: regular file, rw-r--r--
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([header, entry.nameBuffer]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);         // End of central directory signature
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await this.write(end);
+    }
+}